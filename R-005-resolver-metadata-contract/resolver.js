@@ -1,6 +1,8 @@
 // R-005-resolver-metadata-contract/resolver.js
 module.exports = {
   resolverName: "RiskAssessment",
+  version: "1.0.0",
+  exampleAction: "Action risk-assessment transaction_id=tx-1001 user_id=u-42",
   inputs: [
     { name: "transaction_id", type: "string", required: true },
     { name: "user_id", type: "string", required: true }
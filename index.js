@@ -0,0 +1,17 @@
+// ----------------------
+// Public API
+// ----------------------
+// require("@o-lang/js-olang-tester") gives the harness without the CLI:
+// certify() runs suites and returns the result without exiting, logging or
+// writing files; registerAssertion() adds custom assertion types.
+
+const { certify } = require("./lib/certify");
+const { registerAssertion, unregisterAssertion } = require("./lib/runner");
+const { loadPlugins } = require("./lib/plugins");
+
+module.exports = {
+  certify,
+  registerAssertion,
+  unregisterAssertion,
+  loadPlugins,
+};
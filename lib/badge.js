@@ -1,73 +1,165 @@
 const fs = require("fs");
 const path = require("path");
-console.log("✅ O-lang badge generator loaded");
 
-function generateBadge({
-  resolverName = "Unknown",
-  version = "",
-  passed = false,
-  outputDir = process.cwd()
-}) {
-  // Colors
-  const olangColor = "#8A2BE2"; // Purple for "O-lang"
-  const statusColor = passed ? "#4CAF50" : "#F44336"; // Green/Red for status
+// ----------------------
+// Certification badge
+// ----------------------
+// Shared by run.js and run-kernel.js. Writes badges/<name>-badge.svg and,
+// next to it, badges/<name>-badge.json in the shields.io endpoint format
+// (https://shields.io/badges/endpoint-badge), so a README can render the
+// badge through shields.io instead of a committed SVG.
+//
+// Text is measured with Verdana 11px glyph widths (the font the SVG asks
+// for) rather than a flat per-character estimate, and every string placed
+// in the SVG is XML-escaped.
+
+const OLANG_COLOR = "#8A2BE2"; // Purple for "O-lang"
+const STATUS_COLORS = { pass: "#4CAF50", warn: "#FF9800", fail: "#F44336" }; // Green/Amber/Red
+const STATUS_TEXTS = { pass: "Certified", warn: "Certified with warnings", fail: "Failed" };
+const BADGE_STYLES = ["flat", "flat-square"];
+
+const FONT_FAMILY = "Verdana,Geneva,DejaVu Sans,sans-serif";
+const HORIZONTAL_PADDING = 6;
+
+// Advance widths of printable ASCII (U+0020–U+007E) in Verdana at 11px
+const VERDANA_11_WIDTHS = [
+  3.87, 4.33, 5.05, 9.0, 6.99, 11.84, 7.99, 2.95, 4.99, 4.99, 6.99, 9.0, 4.0, 4.99, 4.0, 4.99,
+  6.99, 6.99, 6.99, 6.99, 6.99, 6.99, 6.99, 6.99, 6.99, 6.99, 4.99, 4.99, 9.0, 9.0, 9.0, 6.0,
+  11.0, 7.52, 7.54, 7.68, 8.48, 6.96, 6.32, 8.53, 8.27, 4.63, 5.0, 7.62, 6.12, 9.27, 8.23, 8.66,
+  6.63, 8.66, 7.65, 7.52, 6.78, 8.05, 7.52, 10.88, 7.54, 6.77, 7.54, 4.99, 4.99, 4.99, 9.0, 6.99,
+  6.99, 6.61, 6.85, 5.73, 6.85, 6.55, 3.87, 6.85, 6.96, 3.02, 3.79, 6.51, 3.02, 10.7, 6.96, 6.68,
+  6.85, 6.85, 4.69, 5.73, 4.33, 6.96, 6.51, 8.98, 6.51, 6.51, 5.78, 6.98, 4.99, 6.98, 9.0,
+];
+const WIDE_CHAR_WIDTH = 11.0;    // CJK, emoji, em dash
+const DEFAULT_CHAR_WIDTH = 7.0;  // other non-ASCII (accented Latin, ...)
+
+function charWidth(codePoint) {
+  if (codePoint >= 0x20 && codePoint <= 0x7e) return VERDANA_11_WIDTHS[codePoint - 0x20];
+  if (codePoint === 0x2014 || codePoint >= 0x2e80) return WIDE_CHAR_WIDTH;
+  return DEFAULT_CHAR_WIDTH;
+}
+
+function measureText(text) {
+  let width = 0;
+  for (const ch of String(text)) width += charWidth(ch.codePointAt(0));
+  return width;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
 
-  const statusText = passed ? "Certified" : "Failed";
+function badgeText({ resolverName, version, status, date }) {
+  const statusText = STATUS_TEXTS[status] || STATUS_TEXTS.fail;
   const versionText = version ? ` v${version}` : "";
-  const timestamp = new Date().toISOString().split("T")[0]; // YYYY-MM-DD
+  // "resolver-name v1.0 — Certified (2026-01-22)"
+  return {
+    label: "O-lang",
+    message: `${resolverName}${versionText} — ${statusText}${date ? ` (${date})` : ""}`,
+    color: STATUS_COLORS[status] || STATUS_COLORS.fail,
+  };
+}
+
+function renderText(text, centerX, width) {
+  const escaped = escapeXml(text);
+  const length = width.toFixed(1);
+  // Drop shadow first, then the text itself
+  return [
+    `    <text x="${centerX}" y="15" fill="#010101" fill-opacity=".3" textLength="${length}">${escaped}</text>`,
+    `    <text x="${centerX}" y="14" fill="#fff" textLength="${length}">${escaped}</text>`,
+  ].join("\n");
+}
 
-  // Left label: "O-lang"
-  const leftLabel = "O-lang";
-  // Right message: "resolver-name v1.0 — Certified (2026-01-22)"
-  const rightMessage = `${resolverName}${versionText} — ${statusText} (${timestamp})`;
+function renderBadgeSvg({ label, message, color, style = "flat" }) {
+  if (!BADGE_STYLES.includes(style)) {
+    throw new Error(`Unknown badge style "${style}" (expected ${BADGE_STYLES.join(" or ")})`);
+  }
 
-  // Estimate text widths (approx. 7px per char + padding)
-  const leftWidth = 12 + leftLabel.length * 7;
-  const rightWidth = 12 + rightMessage.length * 7;
+  const labelTextWidth = measureText(label);
+  const messageTextWidth = measureText(message);
+  const leftWidth = Math.round(labelTextWidth + 2 * HORIZONTAL_PADDING);
+  const rightWidth = Math.round(messageTextWidth + 2 * HORIZONTAL_PADDING);
   const totalWidth = leftWidth + rightWidth;
+  const title = escapeXml(`${label}: ${message}`);
+  const flat = style === "flat";
 
-  const badgeSvg = `
-<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="20">
-  <!-- Left segment: O-lang (purple) -->
-  <rect x="0" y="0" width="${leftWidth}" height="20" fill="${olangColor}" rx="3" ry="3"/>
-  <text x="${leftWidth / 2}" y="14"
-        fill="#fff"
-        font-family="Verdana, DejaVu Sans, sans-serif"
-        font-size="11"
-        font-weight="bold"
-        text-anchor="middle">
-    ${leftLabel}
-  </text>
-
-  <!-- Right segment: status info (green/red) -->
-  <rect x="${leftWidth}" y="0" width="${rightWidth}" height="20" fill="${statusColor}" rx="3" ry="3"/>
-  <text x="${leftWidth + rightWidth / 2}" y="14"
-        fill="#fff"
-        font-family="Verdana, DejaVu Sans, sans-serif"
-        font-size="11"
-        text-anchor="middle">
-    ${rightMessage}
-  </text>
-</svg>
-`.trim();
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="20" role="img" aria-label="${title}">`,
+    `  <title>${title}</title>`,
+    ...(flat
+      ? [
+          `  <linearGradient id="s" x2="0" y2="100%">`,
+          `    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>`,
+          `    <stop offset="1" stop-opacity=".1"/>`,
+          `  </linearGradient>`,
+        ]
+      : []),
+    `  <clipPath id="r">`,
+    `    <rect width="${totalWidth}" height="20" rx="${flat ? 3 : 0}" fill="#fff"/>`,
+    `  </clipPath>`,
+    `  <g clip-path="url(#r)">`,
+    `    <rect width="${leftWidth}" height="20" fill="${OLANG_COLOR}"/>`,
+    `    <rect x="${leftWidth}" width="${rightWidth}" height="20" fill="${color}"/>`,
+    ...(flat ? [`    <rect width="${totalWidth}" height="20" fill="url(#s)"/>`] : []),
+    `  </g>`,
+    `  <g text-anchor="middle" font-family="${FONT_FAMILY}" font-size="11">`,
+    renderText(label, leftWidth / 2, labelTextWidth),
+    renderText(message, leftWidth + rightWidth / 2, messageTextWidth),
+    `  </g>`,
+    `</svg>`,
+    "",
+  ].join("\n");
+}
+
+// shields.io endpoint JSON; colours are given without the leading "#"
+function badgeEndpoint({ label, message, color, style = "flat" }) {
+  return {
+    schemaVersion: 1,
+    label,
+    message,
+    color: color.replace(/^#/, ""),
+    labelColor: OLANG_COLOR.replace(/^#/, ""),
+    style,
+  };
+}
+
+// Returns { svgPath, endpointPath }.
+function generateBadge({
+  resolverName = "Unknown",
+  version = "",
+  passed = false,
+  status = passed ? "pass" : "fail",
+  style = "flat",
+  fileName,
+  outputDir = process.cwd()
+}) {
+  const date = new Date().toISOString().split("T")[0]; // YYYY-MM-DD
+  const text = badgeText({ resolverName, version, status, date });
 
   // Ensure badges folder exists
   const badgesDir = path.join(outputDir, "badges");
-  if (!fs.existsSync(badgesDir)) {
-    fs.mkdirSync(badgesDir, { recursive: true });
-  }
+  fs.mkdirSync(badgesDir, { recursive: true });
 
-  // Write badge file
-  const safeName = resolverName.replace(/[^a-zA-Z0-9_-]/g, "_");
-  const badgePath = path.join(badgesDir, `${safeName}-badge.svg`);
+  const baseName = fileName || `${resolverName.replace(/[^a-zA-Z0-9_-]/g, "_")}-badge`;
+  const svgPath = path.join(badgesDir, `${baseName}.svg`);
+  const endpointPath = path.join(badgesDir, `${baseName}.json`);
 
-  fs.writeFileSync(badgePath, badgeSvg, "utf8");
-  console.log(`🏷 Badge written to ${badgePath}`);
+  fs.writeFileSync(svgPath, renderBadgeSvg({ ...text, style }), "utf8");
+  fs.writeFileSync(endpointPath, JSON.stringify(badgeEndpoint({ ...text, style }), null, 2) + "\n", "utf8");
 
-  return badgePath;
+  return { svgPath, endpointPath };
 }
 
 module.exports = {
   generateBadges: generateBadge, // alias for backward compat if needed
-  generateBadge
-};
\ No newline at end of file
+  generateBadge,
+  renderBadgeSvg,
+  badgeEndpoint,
+  measureText,
+  BADGE_STYLES,
+};
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { generateBadge, renderBadgeSvg, badgeEndpoint, measureText } = require("./badge");
+const { tempDir } = require("./testing");
+
+const TEXT = { label: "O-lang", message: "risk v1.0.0 — Certified", color: "#4CAF50" };
+
+function svgWidth(svg) {
+  return Number(/<svg [^>]*width="(\d+)"/.exec(svg)[1]);
+}
+
+test("text is measured with Verdana widths, wider glyphs wider", () => {
+  assert.equal(measureText(""), 0);
+  assert.ok(measureText("WWW") > measureText("iii"));
+  assert.ok(measureText("—") > measureText("-"));
+  // O + - + l + a + n + g
+  assert.ok(Math.abs(measureText("O-lang") - (8.66 + 4.99 + 3.02 + 6.61 + 6.96 + 6.85)) < 1e-9);
+});
+
+test("the badge grows with its message and both halves fit their text", () => {
+  const short = renderBadgeSvg(TEXT);
+  const long = renderBadgeSvg({ ...TEXT, message: `${TEXT.message} with warnings (2026-01-22)` });
+  assert.ok(svgWidth(long) > svgWidth(short));
+
+  const left = Number(/<rect width="(\d+)" height="20" fill="#8A2BE2"\/>/.exec(short)[1]);
+  const right = Number(/<rect x="\d+" width="(\d+)"/.exec(short)[1]);
+  assert.equal(left + right, svgWidth(short));
+  assert.ok(left > measureText("O-lang") && right > measureText(TEXT.message));
+});
+
+test("every string placed in the SVG is escaped", () => {
+  const svg = renderBadgeSvg({ ...TEXT, message: `<script>"x" & 'y'</script>` });
+  assert.ok(!svg.includes("<script>"));
+  assert.match(svg, /&lt;script&gt;&quot;x&quot; &amp; &apos;y&apos;&lt;\/script&gt;/);
+});
+
+test("flat-square drops the gradient and rounding; unknown styles are rejected", () => {
+  const square = renderBadgeSvg({ ...TEXT, style: "flat-square" });
+  assert.ok(!square.includes("linearGradient"));
+  assert.match(square, /rx="0"/);
+  assert.match(renderBadgeSvg(TEXT), /rx="3"/);
+  assert.throws(() => renderBadgeSvg({ ...TEXT, style: "plastic" }), /Unknown badge style "plastic"/);
+});
+
+test("the shields.io endpoint carries the same text", () => {
+  assert.deepStrictEqual(badgeEndpoint(TEXT), {
+    schemaVersion: 1,
+    label: "O-lang",
+    message: TEXT.message,
+    color: "4CAF50",
+    labelColor: "8A2BE2",
+    style: "flat",
+  });
+});
+
+test("generateBadge writes the SVG and endpoint JSON for each status", t => {
+  const dir = tempDir(t);
+
+  const expected = { pass: ["Certified", "4CAF50"], warn: ["Certified with warnings", "FF9800"], fail: ["Failed", "F44336"] };
+  for (const [status, [text, color]] of Object.entries(expected)) {
+    const { svgPath, endpointPath } = generateBadge({ resolverName: "risk/v2", version: "1.0.0", status, outputDir: dir });
+    assert.equal(svgPath, path.join(dir, "badges", "risk_v2-badge.svg"));
+    const endpoint = JSON.parse(fs.readFileSync(endpointPath, "utf8"));
+    assert.match(endpoint.message, new RegExp(`^risk/v2 v1\\.0\\.0 — ${text} \\(\\d{4}-\\d{2}-\\d{2}\\)$`));
+    assert.equal(endpoint.color, color);
+    assert.ok(fs.readFileSync(svgPath, "utf8").includes(`${text} (`));
+  }
+});
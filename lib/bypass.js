@@ -0,0 +1,159 @@
+const { callResolver } = require("./invoke");
+const { createInstrumentedContext } = require("./context");
+const { extractErrorCode } = require("./errors");
+const { createRandom, actionMutator, declaredInputs, randomSeed } = require("./fuzz");
+
+// ----------------------
+// Kernel-bypass probes (R-013)
+// ----------------------
+// The kernel resolves every {variable} before an action reaches a resolver,
+// and the values it passes in are the only ones a resolver may use. Probes
+// are derived from the resolver's exampleAction and inputs[], so they apply
+// to any resolver:
+//
+//   unresolved   each input slot in turn holds an unresolved placeholder
+//                "{<input>_<canary>}". The resolver must reject it. If it
+//                returns data anyway and the placeholder is gone from the
+//                output, it substituted a value of its own (a default or a
+//                hallucination).
+//   provenance   every input slot holds a unique canary value. Whatever the
+//                resolver sends to its dependencies (callTool, fetch) under
+//                an input's name must be exactly that canary; any other value
+//                was never provided by the kernel, so it was parsed out of
+//                the prompt text or made up.
+//
+// Canaries come from the same seeded PRNG as R-008, so --seed reproduces them.
+
+const MAX_DEPTH = 6;
+
+function canaryValue(input, random) {
+  if (input.type === "number" || input.type === "integer") {
+    return 900000 + Math.floor(random.next() * 99999);
+  }
+  if (input.type === "string" || !input.type || input.type === "any") {
+    return `canary_${random.string(10)}`;
+  }
+  return undefined; // booleans and structured values cannot carry a canary
+}
+
+function isRejection(outcome) {
+  if (outcome.threw) return true;
+  const result = outcome.result;
+  return !!result && typeof result === "object" && "error" in result && result.error != null;
+}
+
+function unwrapOutput(result) {
+  return result && typeof result === "object" && "output" in result ? result.output : result;
+}
+
+function parseBody(body) {
+  if (typeof body !== "string") return body;
+  try {
+    return JSON.parse(body);
+  } catch {
+    try {
+      return Object.fromEntries(new URLSearchParams(body));
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Every value the resolver sent out under one of the given field names
+function collectNamedValues(value, names, where, found = [], depth = 0) {
+  if (!value || typeof value !== "object" || depth > MAX_DEPTH) return found;
+  for (const [key, child] of Object.entries(value)) {
+    if (names.includes(key) && (child === null || typeof child !== "object")) {
+      found.push({ where, field: key, value: child });
+    }
+    collectNamedValues(child, names, where, found, depth + 1);
+  }
+  return found;
+}
+
+function outgoingValues(stats, names) {
+  const found = [];
+  for (const { channel, args } of stats.calls) {
+    if (channel === "callTool") {
+      collectNamedValues(args.args, names, `callTool(${JSON.stringify(args.name)})`, found);
+      continue;
+    }
+    const url = String(args.url ?? "");
+    const where = `fetch ${url}`;
+    try {
+      const params = Object.fromEntries(new URL(url, "http://resolver.invalid").searchParams);
+      collectNamedValues(params, names, where, found);
+    } catch {
+      // not a URL; nothing to trace in it
+    }
+    collectNamedValues(parseBody(args.options?.body), names, where, found);
+  }
+  return found;
+}
+
+async function probe(resolver, invocation, timeoutMs) {
+  const { context, stats } = createInstrumentedContext();
+  const outcome = await callResolver(resolver, invocation, context, { timeoutMs, stubFetch: true });
+  return { outcome, stats };
+}
+
+async function runBypassProbes(resolver, resolverMeta, { seed = randomSeed(), timeoutMs } = {}) {
+  const random = createRandom(seed);
+  const inputs = declaredInputs(resolverMeta);
+  const mutator = actionMutator(resolverMeta);
+
+  const unresolved = [];
+  for (const input of inputs) {
+    const placeholder = `{${input.name}_${random.string(8)}}`;
+    const { outcome, stats } = await probe(resolver, mutator.set(input.name, placeholder), timeoutMs);
+    const rejected = isRejection(outcome);
+    const output = rejected ? undefined : unwrapOutput(outcome.result);
+    const rendered = output === undefined ? "" : JSON.stringify(output) ?? "";
+
+    unresolved.push({
+      input: input.name,
+      placeholder,
+      rejected,
+      threw: outcome.threw,
+      ignored: !outcome.threw && outcome.result === undefined,
+      code: outcome.threw
+        ? extractErrorCode(outcome.error)
+        : rejected ? extractErrorCode(outcome.result.error) : null,
+      // Accepted, and the placeholder no longer appears in what came back
+      fabricated: !rejected && outcome.result !== undefined && !rendered.includes(placeholder),
+      output,
+      // Values sent on for the unresolved input; any is one the kernel never gave
+      sent: outgoingValues(stats, [input.name]).filter(v => String(v.value) !== placeholder),
+    });
+  }
+
+  // Provenance: one invocation with a canary in every slot that can hold one
+  const canaries = {};
+  let invocation = null;
+  for (const input of inputs) {
+    const canary = canaryValue(input, random);
+    if (canary === undefined) continue;
+    canaries[input.name] = canary;
+    const current = invocation === null ? mutator : actionMutator({ exampleAction: invocation });
+    invocation = current.set(input.name, canary);
+  }
+
+  let provenance = { canaries, traced: 0, leaks: [] };
+  if (invocation !== null) {
+    const { stats } = await probe(resolver, invocation, timeoutMs);
+    const sent = outgoingValues(stats, Object.keys(canaries));
+    provenance = {
+      canaries,
+      traced: sent.length,
+      leaks: sent
+        .filter(v => String(v.value) !== String(canaries[v.field]))
+        .map(v => ({ ...v, expected: canaries[v.field] })),
+    };
+  }
+
+  return { seed, unresolved, provenance };
+}
+
+module.exports = {
+  runBypassProbes,
+};
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { runBypassProbes } = require("./bypass");
+const { RISK_DECLARATION, runSuite } = require("./testing");
+
+const DECLARATION = {
+  ...RISK_DECLARATION,
+  exampleAction: "Action risk customer_id=42 region=eu",
+  inputs: [
+    { name: "customer_id", type: "integer", required: true },
+    { name: "region", type: "string", required: true },
+  ],
+  failures: [{ code: "UNRESOLVED_VARIABLES", retries: 0 }],
+};
+
+function parse(action) {
+  return Object.fromEntries([...String(action).matchAll(/(\w+)=(\S+)/g)].map(m => [m[1], m[2]]));
+}
+
+// rejectPlaceholders: reject "{...}" values instead of working with them;
+// send(args): what goes to the dependency
+function makeResolver({ rejectPlaceholders = true, send = args => args } = {}) {
+  async function resolver(action, context) {
+    if (typeof action !== "string" || !action.startsWith("Action risk")) return undefined;
+    const args = parse(action);
+    if (Object.values(args).some(v => v.startsWith("{"))) {
+      if (rejectPlaceholders) return { error: "UNRESOLVED_VARIABLES" };
+      for (const key of Object.keys(args)) if (args[key].startsWith("{")) args[key] = "default";
+    }
+    await context.callTool("score", send(args));
+    return { output: { risk_score: 0.3, ...args } };
+  }
+  resolver.resolverDeclaration = DECLARATION;
+  return resolver;
+}
+
+test("a resolver that rejects placeholders and forwards kernel values passes every probe", async () => {
+  const { unresolved, provenance } = await runBypassProbes(makeResolver(), DECLARATION, { seed: 5 });
+
+  assert.deepStrictEqual(unresolved.map(u => [u.input, u.rejected, u.code, u.fabricated]), [
+    ["customer_id", true, "UNRESOLVED_VARIABLES", false],
+    ["region", true, "UNRESOLVED_VARIABLES", false],
+  ]);
+  assert.equal(provenance.traced, 2);
+  assert.deepStrictEqual(provenance.leaks, []);
+});
+
+test("substituting a default for a placeholder is reported as fabricated", async () => {
+  const { unresolved } = await runBypassProbes(makeResolver({ rejectPlaceholders: false }), DECLARATION, { seed: 5 });
+  assert.ok(unresolved.every(u => !u.rejected && u.fabricated));
+  assert.deepStrictEqual(unresolved[0].sent.map(s => [s.where, s.field, s.value]), [['callTool("score")', "customer_id", "default"]]);
+});
+
+test("values the kernel never provided are traced as leaks", async () => {
+  const resolver = makeResolver({ send: args => ({ ...args, region: "us" }) });
+  const { provenance } = await runBypassProbes(resolver, DECLARATION, { seed: 5 });
+  assert.deepStrictEqual(
+    provenance.leaks.map(l => [l.field, l.value, l.expected]),
+    [["region", "us", provenance.canaries.region]]
+  );
+});
+
+test("the same seed gives the same placeholders and canaries", async () => {
+  const a = await runBypassProbes(makeResolver(), DECLARATION, { seed: 11 });
+  const b = await runBypassProbes(makeResolver(), DECLARATION, { seed: 11 });
+  const c = await runBypassProbes(makeResolver(), DECLARATION, { seed: 12 });
+  assert.deepStrictEqual([a.unresolved.map(u => u.placeholder), a.provenance.canaries], [b.unresolved.map(u => u.placeholder), b.provenance.canaries]);
+  assert.notDeepStrictEqual(a.provenance.canaries, c.provenance.canaries);
+});
+
+test("R-013 passes a conformant resolver and fails a fabricating one", async () => {
+  const run = resolver => runSuite("R-013-resolver-kernel-bypass", resolver, { seed: 5 });
+  assert.equal((await run(makeResolver())).status, "pass");
+  assert.equal((await run(makeResolver({ rejectPlaceholders: false }))).status, "fail");
+});
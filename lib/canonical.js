@@ -0,0 +1,27 @@
+// ----------------------
+// Canonical JSON
+// ----------------------
+// Serialises with object keys sorted at every level, so two structurally
+// equal values always produce the same string (for hashing, signing and
+// comparing outputs). undefined members are dropped, as JSON.stringify does.
+
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(item => (item === undefined ? null : canonicalize(item)));
+  if (value && typeof value === "object" && typeof value.toJSON !== "function") {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== undefined) sorted[key] = canonicalize(value[key]);
+    }
+    return sorted;
+  }
+  return value;
+}
+
+function canonicalJson(value) {
+  return JSON.stringify(canonicalize(value));
+}
+
+module.exports = {
+  canonicalize,
+  canonicalJson,
+};
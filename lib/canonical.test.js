@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { canonicalize, canonicalJson } = require("./canonical");
+
+test("keys are sorted at every level, array order is kept", () => {
+  assert.equal(
+    canonicalJson({ b: 1, a: { d: [3, { z: 1, y: 2 }], c: null } }),
+    '{"a":{"c":null,"d":[3,{"y":2,"z":1}]},"b":1}'
+  );
+});
+
+test("structurally equal values serialise identically", () => {
+  const a = { name: "risk", scores: [0.1, 0.2], meta: { region: "eu", tier: 2 } };
+  const b = { meta: { tier: 2, region: "eu" }, scores: [0.1, 0.2], name: "risk" };
+  assert.equal(canonicalJson(a), canonicalJson(b));
+  assert.notEqual(canonicalJson(a), canonicalJson({ ...b, scores: [0.2, 0.1] }));
+});
+
+test("undefined is dropped from objects and becomes null in arrays, as in JSON", () => {
+  assert.equal(canonicalJson({ a: undefined, b: [undefined, 1] }), '{"b":[null,1]}');
+  assert.deepStrictEqual(canonicalize({ a: undefined }), {});
+});
+
+test("values with toJSON serialise through it", () => {
+  const date = new Date(Date.UTC(2026, 0, 1));
+  assert.equal(canonicalJson({ at: date }), '{"at":"2026-01-01T00:00:00.000Z"}');
+});
@@ -0,0 +1,103 @@
+const path = require("path");
+const { runAllTests } = require("./runner");
+const { discoverSuites, selectSuites } = require("./discovery");
+const { loadPlugins } = require("./plugins");
+const { createIsolatedResolver } = require("./isolation");
+const { buildConformanceReport } = require("./report");
+const { DEFAULT_TIMEOUT_MS } = require("./timeout");
+
+// ----------------------
+// Programmatic certification
+// ----------------------
+// certify() runs the same suites as the CLI but has no side effects: it does
+// not read OLANG_RESOLVER, exit, log or write conformance.json / badges. The
+// outcome is returned, and progress is streamed through options.onProgress
+// (see runAllTests() for the event shapes). Problems that prevent a run
+// (unloadable resolver, no suites selected, bad plugin) reject the promise.
+//
+//   const { certify } = require("@o-lang/js-olang-tester");
+//   const result = await certify({ resolver: require("./my-resolver") });
+//   assert.equal(result.status, "pass");
+
+async function loadResolver(resolver, isolate) {
+  if (typeof resolver !== "string") {
+    if (isolate) {
+      throw new Error("options.isolate requires the resolver to be given as a module path");
+    }
+    return resolver;
+  }
+
+  const resolverPath = path.resolve(process.cwd(), resolver);
+  return isolate
+    ? createIsolatedResolver(resolverPath, { mode: isolate === true ? "worker" : isolate })
+    : require(resolverPath);
+}
+
+async function certify({ resolver, suites = [], options = {} } = {}) {
+  if (resolver == null) {
+    throw new Error("certify() requires a resolver (module or path)");
+  }
+
+  const {
+    strict = false,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    seed,
+    isolate = false,
+    suitesDirs = [],
+    include = [],
+    exclude = [],
+    tags = [],
+    plugins = [],
+    fixtures = {},
+    fixturesDir,
+    determinismRuns,
+    traceNondeterminism = false,
+    golden = false,
+    goldenDir = path.join(process.cwd(), "goldens"),
+    goldenIgnore = [],
+    onProgress = () => {}
+  } = options;
+
+  // Plugins first: their assertion types must be known to spec validation
+  loadPlugins(plugins);
+  const selected = selectSuites(
+    discoverSuites({ dirs: suitesDirs, include, exclude, tags }),
+    suites
+  );
+  if (selected.length === 0) {
+    throw new Error("No suites selected");
+  }
+
+  const target = await loadResolver(resolver, isolate);
+  let result;
+  try {
+    result = await runAllTests({
+      suites: selected,
+      resolver: target,
+      strict,
+      timeoutMs,
+      seed,
+      fixtures,
+      fixturesDir,
+      determinismRuns,
+      traceNondeterminism,
+      golden: { mode: golden, dir: path.resolve(process.cwd(), goldenDir), ignore: goldenIgnore },
+      onEvent: onProgress
+    });
+  } finally {
+    if (target.isolation) await target.close();
+  }
+
+  const meta = target.resolverDeclaration || target;
+  const resolverName = meta.resolverName;
+  return {
+    certified: result.status !== "fail",
+    resolver: { name: resolverName || "unknown", version: meta.version || "" },
+    ...result,
+    report: buildConformanceReport({ resolverName, result })
+  };
+}
+
+module.exports = {
+  certify,
+};
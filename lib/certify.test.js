@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const api = require("..");
+const { makeRiskResolver, writeRiskResolver, tempDir, quiet } = require("./testing");
+
+const SUITES = ["R-005-resolver-metadata-contract", "R-010-resolver-output-contract"];
+
+test("certify() returns the outcome without logging, exiting or writing files", async t => {
+  const dir = tempDir(t);
+  const cwd = process.cwd();
+  process.chdir(dir);
+  const logged = [];
+  const { log, error, warn } = console;
+  console.log = console.error = console.warn = (...args) => logged.push(args.join(" "));
+  t.after(() => {
+    Object.assign(console, { log, error, warn });
+    process.chdir(cwd);
+  });
+
+  const events = [];
+  const result = await api.certify({
+    resolver: makeRiskResolver(),
+    suites: SUITES,
+    options: { seed: 3, onProgress: event => events.push(event.type) },
+  });
+
+  assert.equal(result.certified, true);
+  assert.equal(result.status, "pass");
+  assert.equal(result.seed, 3);
+  assert.deepStrictEqual(result.resolver, { name: "risk", version: "1.0.0" });
+  assert.deepStrictEqual(result.report.results.map(r => r.suite), SUITES);
+  assert.deepStrictEqual([events[0], events.at(-1)], ["suite:start", "suite:end"]);
+  assert.ok(events.includes("assertion"));
+  assert.deepStrictEqual(logged, []);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
+
+test("a failing resolver is reported as not certified", async () => {
+  const result = await api.certify({ resolver: makeRiskResolver({ output: { risk_score: "high" } }), suites: SUITES, options: { onProgress: quiet } });
+  assert.equal(result.certified, false);
+  assert.equal(result.status, "fail");
+});
+
+test("a resolver path can be certified in isolation", async t => {
+  const file = writeRiskResolver(path.join(tempDir(t), "resolver.js"));
+
+  const result = await api.certify({ resolver: file, suites: SUITES, options: { isolate: true, onProgress: quiet } });
+  assert.equal(result.certified, true);
+});
+
+test("problems that prevent a run reject", async () => {
+  await assert.rejects(api.certify(), /requires a resolver/);
+  await assert.rejects(api.certify({ resolver: makeRiskResolver(), options: { include: ["R-999-*"] } }), /No suites selected/);
+  await assert.rejects(
+    api.certify({ resolver: makeRiskResolver(), suites: SUITES, options: { isolate: true } }),
+    /isolate requires the resolver to be given as a module path/
+  );
+});
@@ -0,0 +1,133 @@
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { validate, loadSchema } = require("./schema");
+const { DEFAULT_TIMEOUT_MS } = require("./timeout");
+const { DEFAULT_DETERMINISM_RUNS } = require("./determinism");
+
+// ----------------------
+// Configuration file (olang-tester.config.js / .json)
+// ----------------------
+// Options are merged from, lowest precedence first:
+//   built-in defaults → config file → environment → CLI flags
+// A CLI list flag (--suite, --reporter, ...) replaces the configured list
+// rather than appending to it. Relative paths in the config file resolve
+// against the file's own directory, so it works from any cwd.
+
+const CONFIG_FILES = ["olang-tester.config.js", "olang-tester.config.json"];
+
+// Keys that hold a single path / a list of paths
+const PATH_KEYS = ["fixturesDir", "goldenDir", "outputDir", "signKey"];
+const PATH_LIST_KEYS = ["resolver", "suitesDirs"];
+
+function defaults(cwd) {
+  return {
+    resolver: [],
+    suites: [],
+    suitesDirs: [],
+    include: [],
+    exclude: [],
+    tags: [],
+    plugins: [],
+    fixtures: {},
+    // unset: ./test-fixtures, or each resolver package's own with several
+    fixturesDir: undefined,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    strict: false,
+    seed: undefined,
+    isolate: false,
+    determinismRuns: DEFAULT_DETERMINISM_RUNS,
+    traceNondeterminism: false,
+    golden: false,
+    goldenDir: path.join(cwd, "goldens"),
+    goldenIgnore: [],
+    concurrency: Math.min(4, os.cpus().length || 1),
+    reporters: [],
+    outputDir: cwd,
+    badgeStyle: "flat",
+    // unset: use ~/.olang/signing-key.pem if it exists, else an ephemeral key
+    signKey: undefined,
+  };
+}
+
+function findConfigFile(cwd) {
+  for (const name of CONFIG_FILES) {
+    const candidate = path.join(cwd, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+// Plugins may be package names; only "./x" and "/x" are paths
+function resolvePluginSpecifier(specifier, baseDir) {
+  return specifier.startsWith(".") ? path.resolve(baseDir, specifier) : specifier;
+}
+
+// "junit:reports/x.xml" or { format, output } → "junit:<absolute path>"
+function resolveReporter(reporter, baseDir) {
+  const { format, output } = typeof reporter === "string"
+    ? { format: reporter.split(":")[0], output: reporter.includes(":") ? reporter.slice(reporter.indexOf(":") + 1) : null }
+    : reporter;
+  return output ? `${format}:${path.resolve(baseDir, output)}` : format;
+}
+
+function loadConfigFile(configPath) {
+  let raw;
+  try {
+    raw = configPath.endsWith(".json")
+      ? JSON.parse(fs.readFileSync(configPath, "utf8"))
+      : require(configPath);
+  } catch (err) {
+    throw new Error(`Failed to load config ${configPath}: ${err.message}`);
+  }
+
+  const errors = validate(loadSchema("config.schema.json"), raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config ${configPath}:\n  ${errors.join("\n  ")}`);
+  }
+
+  const baseDir = path.dirname(configPath);
+  const config = { ...raw };
+  if (typeof config.resolver === "string") config.resolver = [config.resolver];
+
+  for (const key of PATH_KEYS) {
+    if (config[key] !== undefined) config[key] = path.resolve(baseDir, config[key]);
+  }
+  for (const key of PATH_LIST_KEYS) {
+    if (config[key] !== undefined) config[key] = config[key].map(p => path.resolve(baseDir, p));
+  }
+  if (config.plugins) config.plugins = config.plugins.map(p => resolvePluginSpecifier(p, baseDir));
+  if (config.reporters) config.reporters = config.reporters.map(r => resolveReporter(r, baseDir));
+  return config;
+}
+
+function isSet(value) {
+  return Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null;
+}
+
+// cli holds only what was given on the command line (unset keys undefined
+// or empty lists). Returns the merged options plus configPath.
+function resolveOptions({ cli = {}, env = process.env, cwd = process.cwd(), configPath } = {}) {
+  const file = configPath ? path.resolve(cwd, configPath) : findConfigFile(cwd);
+  if (configPath && !fs.existsSync(file)) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+  const config = file ? loadConfigFile(file) : {};
+
+  const fromEnv = {};
+  if (env.OLANG_RESOLVER) fromEnv.resolver = [path.resolve(cwd, env.OLANG_RESOLVER)];
+  if (env.OLANG_SIGNING_KEY) fromEnv.signKey = path.resolve(cwd, env.OLANG_SIGNING_KEY);
+
+  const options = { ...defaults(cwd) };
+  for (const layer of [config, fromEnv, cli]) {
+    for (const [key, value] of Object.entries(layer)) {
+      if (key in options && isSet(value)) options[key] = value;
+    }
+  }
+  return { ...options, configPath: file };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  resolveOptions,
+};
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { resolveOptions } = require("./config");
+const { tempDir } = require("./testing");
+
+test("without a config file the defaults apply", t => {
+  const cwd = tempDir(t);
+  const options = resolveOptions({ cwd, env: {} });
+  assert.equal(options.configPath, null);
+  assert.deepStrictEqual(options.resolver, []);
+  assert.equal(options.outputDir, cwd);
+  assert.equal(options.goldenDir, path.join(cwd, "goldens"));
+  assert.equal(options.strict, false);
+  assert.equal(options.signKey, undefined);
+});
+
+test("config file, then environment, then CLI flags take precedence", t => {
+  const cwd = tempDir(t);
+  fs.writeFileSync(path.join(cwd, "olang-tester.config.json"), JSON.stringify({
+    resolver: "./resolver.js",
+    suites: ["R-005-resolver-metadata-contract", "R-010-resolver-output-contract"],
+    strict: true,
+    timeoutMs: 2000,
+  }));
+
+  const fromFile = resolveOptions({ cwd, env: {} });
+  assert.deepStrictEqual(fromFile.resolver, [path.join(cwd, "resolver.js")]);
+  assert.equal(fromFile.strict, true);
+  assert.equal(fromFile.timeoutMs, 2000);
+
+  const fromEnv = resolveOptions({ cwd, env: { OLANG_RESOLVER: "other.js", OLANG_SIGNING_KEY: "keys/k.pem" } });
+  assert.deepStrictEqual(fromEnv.resolver, [path.join(cwd, "other.js")]);
+  assert.equal(fromEnv.signKey, path.join(cwd, "keys", "k.pem"));
+
+  const fromCli = resolveOptions({
+    cwd,
+    env: { OLANG_RESOLVER: "other.js" },
+    cli: { resolver: ["/abs/cli.js"], suites: ["R-006-resolver-runtime-shape"], timeoutMs: 50 },
+  });
+  assert.deepStrictEqual(fromCli.resolver, ["/abs/cli.js"]);
+  // A CLI list replaces the configured list instead of appending
+  assert.deepStrictEqual(fromCli.suites, ["R-006-resolver-runtime-shape"]);
+  assert.equal(fromCli.timeoutMs, 50);
+  assert.equal(fromCli.strict, true);
+});
+
+test("relative paths resolve against the config file, wherever the run starts", t => {
+  const root = tempDir(t);
+  const configDir = path.join(root, "ci");
+  fs.mkdirSync(configDir);
+  const configPath = path.join(configDir, "olang-tester.config.js");
+  fs.writeFileSync(configPath, `module.exports = {
+    resolver: ["./resolvers/*/index.js"],
+    fixturesDir: "./fixtures",
+    plugins: ["./plugins/cents.js", "some-package"],
+    reporters: ["junit:reports/c.xml", { format: "sarif", output: "reports/c.sarif" }, "pretty"],
+  };`);
+
+  const options = resolveOptions({ cwd: root, env: {}, configPath: "ci/olang-tester.config.js" });
+  assert.equal(options.configPath, configPath);
+  assert.deepStrictEqual(options.resolver, [path.join(configDir, "resolvers/*/index.js")]);
+  assert.equal(options.fixturesDir, path.join(configDir, "fixtures"));
+  assert.deepStrictEqual(options.plugins, [path.join(configDir, "plugins/cents.js"), "some-package"]);
+  assert.deepStrictEqual(options.reporters, [
+    `junit:${path.join(configDir, "reports/c.xml")}`,
+    `sarif:${path.join(configDir, "reports/c.sarif")}`,
+    "pretty",
+  ]);
+});
+
+test("invalid, unreadable and missing config files are errors", t => {
+  const cwd = tempDir(t);
+  assert.throws(() => resolveOptions({ cwd, env: {}, configPath: "nope.json" }), /Config file not found/);
+
+  fs.writeFileSync(path.join(cwd, "olang-tester.config.json"), "{ broken");
+  assert.throws(() => resolveOptions({ cwd, env: {} }), /Failed to load config .*olang-tester\.config\.json/);
+
+  fs.writeFileSync(path.join(cwd, "olang-tester.config.json"), JSON.stringify({ timeoutMs: "fast", colour: true }));
+  assert.throws(() => resolveOptions({ cwd, env: {} }), err => {
+    assert.match(err.message, /Invalid config/);
+    assert.match(err.message, /timeoutMs/);
+    assert.match(err.message, /colour/);
+    return true;
+  });
+});
@@ -0,0 +1,119 @@
+// ----------------------
+// Instrumented kernel context
+// ----------------------
+// Passed to the resolver as its second argument in place of the context the
+// O-Lang kernel would provide. Every side channel a resolver uses to reach
+// the outside world (tool calls, fetch) goes through a counting hook, so the
+// harness can observe how often the resolver really attempts an operation
+// instead of trusting its declaration.
+//
+// Resolvers may also report retries explicitly via context.onRetry(code).
+//
+// A fault makes every side channel fail the same way:
+//   { type: "error", code }              dependency throws an Error with .code
+//   { type: "timeout", timeout_ms }      dependency rejects with ETIMEDOUT after a delay
+//   { type: "network" }                  connection refused (ECONNREFUSED)
+//   { type: "http", status }             fetch resolves with a non-2xx response
+
+const DEFAULT_FAULT_TIMEOUT_MS = 50;
+
+function okResponse() {
+  return {
+    ok: true,
+    status: 200,
+    json: async () => ({}),
+    text: async () => "",
+  };
+}
+
+function faultError(fault, channel) {
+  switch (fault.type) {
+    case "timeout": {
+      const err = new Error(`Injected timeout on ${channel}`);
+      err.name = "TimeoutError";
+      err.code = "ETIMEDOUT";
+      return err;
+    }
+    case "network": {
+      const err = new TypeError(`Injected network failure on ${channel}`);
+      err.code = "ECONNREFUSED";
+      err.cause = { code: "ECONNREFUSED" };
+      return err;
+    }
+    default: {
+      const err = new Error(`Injected ${fault.code} failure on ${channel}`);
+      err.code = fault.code;
+      return err;
+    }
+  }
+}
+
+function createInstrumentedContext({ failWith = null, fault = null } = {}) {
+  const activeFault = fault || (failWith ? { type: "error", code: failWith } : null);
+  const stats = {
+    attempts: 0,
+    attemptsAfterFailure: 0,
+    failed: false,
+    calls: [],
+    reportedRetries: {},
+  };
+
+  // Resolves to null when the call should succeed, otherwise applies the fault
+  // (throwing, or resolving with a failing HTTP response for fetch).
+  const attempt = async (channel, args) => {
+    stats.attempts++;
+    if (stats.failed) stats.attemptsAfterFailure++;
+    stats.calls.push({ channel, args });
+    if (!activeFault) return null;
+
+    stats.failed = true;
+    if (activeFault.type === "http") {
+      const status = activeFault.status || 503;
+      if (channel === "fetch") {
+        return {
+          ok: false,
+          status,
+          json: async () => ({ error: `HTTP ${status}` }),
+          text: async () => `HTTP ${status}`,
+        };
+      }
+      const err = new Error(`Injected HTTP ${status} on ${channel}`);
+      err.status = status;
+      throw err;
+    }
+    if (activeFault.type === "timeout") {
+      await new Promise(resolve =>
+        setTimeout(resolve, activeFault.timeout_ms || DEFAULT_FAULT_TIMEOUT_MS)
+      );
+    }
+    throw faultError(activeFault, channel);
+  };
+
+  const context = {
+    async callTool(name, args) {
+      await attempt("callTool", { name, args });
+      return {};
+    },
+    async fetch(url, options) {
+      return (await attempt("fetch", { url, options })) || okResponse();
+    },
+    onRetry(code) {
+      stats.reportedRetries[code] = (stats.reportedRetries[code] || 0) + 1;
+    },
+  };
+
+  return { context, stats };
+}
+
+// Retries observed for an error code: the larger of what the resolver
+// reported via onRetry and what the counting hooks saw (every attempt made
+// after a failure is a retry).
+function observedRetries(stats, code) {
+  const reported = stats.reportedRetries[code] || 0;
+  return Math.max(reported, stats.attemptsAfterFailure);
+}
+
+module.exports = {
+  createInstrumentedContext,
+  observedRetries,
+};
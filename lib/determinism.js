@@ -0,0 +1,111 @@
+const { callResolver } = require("./invoke");
+const { createInstrumentedContext } = require("./context");
+const { extractErrorCode } = require("./errors");
+const { canonicalize, canonicalJson } = require("./canonical");
+const { FREEZABLE_SOURCES } = require("./freeze");
+
+// ----------------------
+// Determinism (R-011)
+// ----------------------
+// The same invocation is made `runs` times: once on its own, then the rest
+// all at once, so state shared between overlapping calls shows up too. What
+// each run produced (its output, error code, or thrown error) is compared as
+// canonical JSON, so key order does not matter. A mismatch is reported as a
+// field-level diff against the first run.
+//
+// With trace enabled, a nondeterministic resolver is run again with Date,
+// Math.random and crypto.randomUUID frozen (lib/freeze.js). If that makes it
+// deterministic, each source is unfrozen in turn; the ones that bring the
+// differences back are reported as the cause.
+
+const DEFAULT_DETERMINISM_RUNS = 3;
+const MAX_DIFFERENCES = 20;
+
+// What an invocation produced, in comparable form: { output }, { error: code }
+// or { threw: code or message }
+function normalizeOutcome(outcome) {
+  if (outcome.threw) {
+    return { threw: extractErrorCode(outcome.error) || outcome.error?.message || String(outcome.error) };
+  }
+  const result = outcome.result;
+  if (result && typeof result === "object" && "error" in result) {
+    return { error: extractErrorCode(result.error) };
+  }
+  const output = result && typeof result === "object" && "output" in result ? result.output : result;
+  return { output: output === undefined ? null : canonicalize(output) };
+}
+
+// Field-level differences between two canonical values; paths use "$.a[0].b"
+function diffValues(expected, actual, path = "$", differences = []) {
+  if (differences.length >= MAX_DIFFERENCES) return differences;
+  if (canonicalJson(expected) === canonicalJson(actual)) return differences;
+
+  const bothObjects = expected && actual && typeof expected === "object" && typeof actual === "object";
+  if (bothObjects && Array.isArray(expected) === Array.isArray(actual)) {
+    const keys = Array.isArray(expected)
+      ? [...Array(Math.max(expected.length, actual.length)).keys()]
+      : [...new Set([...Object.keys(expected), ...Object.keys(actual)])].sort();
+    for (const key of keys) {
+      const childPath = Array.isArray(expected) ? `${path}[${key}]` : `${path}.${key}`;
+      diffValues(expected[key], actual[key], childPath, differences);
+    }
+    return differences;
+  }
+
+  differences.push({ path, expected, actual });
+  return differences;
+}
+
+async function invokeRuns(resolver, input, { runs, timeoutMs, freeze }) {
+  const call = () => {
+    const { context } = createInstrumentedContext();
+    return callResolver(resolver, input, context, { timeoutMs, freeze });
+  };
+
+  const first = await call();
+  const rest = await Promise.all(Array.from({ length: Math.max(0, runs - 1) }, call));
+  return [first, ...rest].map(normalizeOutcome);
+}
+
+function firstMismatch(results) {
+  const baseline = canonicalJson(results[0]);
+  const index = results.findIndex(r => canonicalJson(r) !== baseline);
+  return index === -1
+    ? null
+    : { run: index + 1, differences: diffValues(results[0], results[index]) };
+}
+
+async function traceSources(resolver, input, options) {
+  const allFrozen = await invokeRuns(resolver, input, { ...options, freeze: FREEZABLE_SOURCES });
+  if (firstMismatch(allFrozen)) {
+    // Freezing did not help: shared state, I/O or ordering under concurrency
+    return { sources: [], explained: false };
+  }
+
+  const sources = [];
+  for (const source of FREEZABLE_SOURCES) {
+    const others = FREEZABLE_SOURCES.filter(s => s !== source);
+    const results = await invokeRuns(resolver, input, { ...options, freeze: others });
+    if (firstMismatch(results)) sources.push(source);
+  }
+  return { sources, explained: true };
+}
+
+async function checkDeterminism(resolver, input, { runs = DEFAULT_DETERMINISM_RUNS, timeoutMs, trace = false } = {}) {
+  const results = await invokeRuns(resolver, input, { runs, timeoutMs });
+  const mismatch = firstMismatch(results);
+
+  return {
+    runs,
+    results,
+    mismatch,
+    trace: mismatch && trace ? await traceSources(resolver, input, { runs, timeoutMs }) : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_DETERMINISM_RUNS,
+  checkDeterminism,
+  normalizeOutcome,
+  diffValues,
+};
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { checkDeterminism, normalizeOutcome, diffValues } = require("./determinism");
+const { RISK_DECLARATION, makeRiskResolver, runSuite } = require("./testing");
+
+const ACTION = RISK_DECLARATION.exampleAction;
+
+test("outcomes are compared canonically: outputs, error codes and throws", () => {
+  assert.deepStrictEqual(normalizeOutcome({ result: { output: { b: 1, a: 2 } } }), { output: { a: 2, b: 1 } });
+  assert.deepStrictEqual(normalizeOutcome({ result: { error: '{"code":"DATA_UNAVAILABLE"}' } }), { error: "DATA_UNAVAILABLE" });
+  assert.deepStrictEqual(normalizeOutcome({ threw: true, error: new Error("boom") }), { threw: "boom" });
+  assert.deepStrictEqual(normalizeOutcome({ result: undefined }), { output: null });
+});
+
+test("differences are reported per field path", () => {
+  assert.deepStrictEqual(
+    diffValues({ output: { score: 1, tags: ["a", "b"] } }, { output: { score: 2, tags: ["a"] } }),
+    [
+      { path: "$.output.score", expected: 1, actual: 2 },
+      { path: "$.output.tags[1]", expected: "b", actual: undefined },
+    ]
+  );
+});
+
+test("a deterministic resolver matches itself, whatever its key order", async () => {
+  let flip = false;
+  const resolver = async () => {
+    flip = !flip;
+    return { output: flip ? { a: 1, b: 2 } : { b: 2, a: 1 } };
+  };
+  const { mismatch, results } = await checkDeterminism(resolver, ACTION, { runs: 4 });
+  assert.equal(mismatch, null);
+  assert.equal(results.length, 4);
+});
+
+test("tracing names the source that makes a resolver nondeterministic", async () => {
+  const random = async () => ({ output: { score: Math.random() } });
+  const dated = async () => ({ output: { at: new Date().toISOString(), id: Date.now() + performance.now() } });
+
+  const byRandom = await checkDeterminism(random, ACTION, { trace: true });
+  assert.equal(byRandom.mismatch.run, 2);
+  assert.equal(byRandom.mismatch.differences[0].path, "$.output.score");
+  assert.deepStrictEqual(byRandom.trace, { sources: ["random"], explained: true });
+
+  const byDate = await checkDeterminism(dated, ACTION, { trace: true });
+  assert.ok(byDate.mismatch);
+  assert.equal(byDate.trace.explained, false, "performance.now() cannot be frozen");
+});
+
+test("state shared between overlapping calls is caught and not blamed on a source", async () => {
+  let inFlight = 0;
+  const resolver = async () => {
+    inFlight++;
+    await new Promise(resolve => setImmediate(resolve));
+    const busy = inFlight > 1;
+    inFlight--;
+    return busy ? { error: "BUSY" } : { output: { score: 1 } };
+  };
+  const { mismatch, trace } = await checkDeterminism(resolver, ACTION, { runs: 3, trace: true });
+  assert.deepStrictEqual(mismatch.differences[0], { path: "$.error", expected: undefined, actual: "BUSY" });
+  assert.deepStrictEqual(trace, { sources: [], explained: false });
+});
+
+test("R-011 warns about a nondeterministic resolver, and fails it under --strict", async () => {
+  const deterministic = makeRiskResolver();
+  const random = makeRiskResolver({ lookup: () => ({ risk_score: Math.random() }) });
+  const run = (resolver, options) => runSuite("R-011-resolver-determinism", resolver, options);
+
+  assert.equal((await run(deterministic)).status, "pass");
+  const warned = await run(random, { determinismRuns: 2, traceNondeterminism: true });
+  assert.equal(warned.status, "warn");
+  assert.match(warned.suites[0].failures.join("\n"), /Math\.random/);
+  assert.equal((await run(random, { strict: true })).status, "fail");
+});
@@ -0,0 +1,114 @@
+const path = require("path");
+const fs = require("fs");
+
+// ----------------------
+// Suite discovery
+// ----------------------
+// A suite is any directory holding a test.json. The package's own suites are
+// always scanned; --suites-dir adds further directories (e.g. a team's
+// R-1xx suites for domain resolvers) without forking the harness.
+//
+// Suites are ordered by id (the directory name), compared numerically so
+// R-005 runs before R-101. Selection filters:
+//   include / exclude   globs on the suite id ("R-01*", "R-011-*")
+//   tags                "category:resolver-runtime", "tag:network" or a bare
+//                       value matched against category and tags[]; a suite
+//                       is selected when it matches any of them
+
+const PACKAGE_ROOT = path.join(__dirname, "..");
+
+function globToRegExp(glob) {
+  const source = glob
+    .split("")
+    .map(ch => (ch === "*" ? ".*" : ch === "?" ? "." : ch.replace(/[.+^${}()|[\]\\]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+function matchesAny(id, globs) {
+  return globs.some(glob => globToRegExp(glob).test(id));
+}
+
+// "key:value" or "key=value"; whitespace around either part is ignored
+function parseTag(tag) {
+  const text = String(tag).trim();
+  const match = text.match(/^([\w-]+)\s*[:=]\s*(.+)$/);
+  return match ? { key: match[1], value: match[2].trim() } : { key: null, value: text };
+}
+
+function suiteTags(spec) {
+  return Array.isArray(spec.tags) ? spec.tags.map(String) : [];
+}
+
+function matchesTag(spec, tag) {
+  if (!spec) return false;
+  const { key, value } = parseTag(tag);
+  if (key === null) return spec.category === value || suiteTags(spec).includes(value);
+  if (key === "tag" || key === "tags") return suiteTags(spec).includes(value);
+  return String(spec[key]) === value;
+}
+
+function compareSuiteIds(a, b) {
+  return a.id.localeCompare(b.id, "en", { numeric: true });
+}
+
+function scanDirectory(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Suites directory not found: ${dir}`);
+  }
+
+  const suites = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const suiteDir = path.join(dir, entry.name);
+    const specPath = path.join(suiteDir, "test.json");
+    if (!fs.existsSync(specPath)) continue;
+
+    // Unparseable specs are still discovered so validation can report them
+    let spec = null;
+    try {
+      spec = JSON.parse(fs.readFileSync(specPath, "utf8"));
+    } catch {}
+    suites.push({ id: entry.name, dir: suiteDir, spec });
+  }
+  return suites;
+}
+
+// Returns [{ id, dir, spec }] for every selected suite, ordered by id.
+function discoverSuites({ dirs = [], include = [], exclude = [], tags = [] } = {}) {
+  const roots = [PACKAGE_ROOT, ...dirs.map(dir => path.resolve(process.cwd(), dir))];
+  const seen = new Map();
+
+  for (const root of [...new Set(roots)]) {
+    for (const suite of scanDirectory(root)) {
+      if (seen.has(suite.id)) {
+        throw new Error(
+          `Duplicate suite id "${suite.id}" in ${seen.get(suite.id).dir} and ${suite.dir}`
+        );
+      }
+      seen.set(suite.id, suite);
+    }
+  }
+
+  return [...seen.values()]
+    .filter(suite => include.length === 0 || matchesAny(suite.id, include))
+    .filter(suite => !matchesAny(suite.id, exclude))
+    .filter(suite => tags.length === 0 || tags.some(tag => matchesTag(suite.spec, tag)))
+    .sort(compareSuiteIds);
+}
+
+// The suites a run certifies: the ids asked for (looked up among the
+// discovered ones), or every discovered suite except the kernel suites,
+// which certify @o-lang/olang itself and are run by run-kernel.js.
+function selectSuites(discovered, ids = []) {
+  return ids.length > 0
+    ? ids.map(id => discovered.find(suite => suite.id === id) || id)
+    : discovered.filter(suite => suite.spec?.category !== "kernel");
+}
+
+module.exports = {
+  discoverSuites,
+  selectSuites,
+  globToRegExp,
+  PACKAGE_ROOT,
+};
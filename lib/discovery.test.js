@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { discoverSuites, selectSuites, globToRegExp } = require("./discovery");
+const { makeRiskResolver, tempDir, runSuite } = require("./testing");
+
+// A directory of extra suites, { id: spec overrides }
+function suitesDir(t, suites) {
+  const dir = tempDir(t);
+  for (const [id, spec] of Object.entries(suites)) {
+    fs.mkdirSync(path.join(dir, id));
+    fs.writeFileSync(path.join(dir, id, "test.json"), JSON.stringify({
+      test_id: id,
+      protocol_version: "1.0",
+      category: "resolver",
+      description: `${id} suite`,
+      fixtures: { inputs: [{ name: "resolver under test" }] },
+      assertions: [{ id: "has_owner", type: "resolver_has_field", field: "owner", severity: "fatal", description: "owner" }],
+      ...spec,
+    }));
+  }
+  return dir;
+}
+
+const ids = suites => suites.map(s => s.id);
+
+test("package suites come first in numeric id order, external ones after", t => {
+  const dir = suitesDir(t, { "R-101-payments": { tags: ["payments"] } });
+  const suites = discoverSuites({ dirs: [dir] });
+  assert.equal(ids(suites)[0], "R-001-allowlist");
+  assert.equal(ids(suites).at(-1), "R-101-payments");
+  assert.ok(ids(suites).indexOf("R-013-resolver-kernel-bypass") < ids(suites).indexOf("R-101-payments"));
+});
+
+test("include, exclude and tag filters select suites", t => {
+  const dir = suitesDir(t, { "R-101-payments": { tags: ["payments"] }, "R-102-ledger": {} });
+
+  assert.deepStrictEqual(ids(discoverSuites({ dirs: [dir], include: ["R-10?-*"] })), ["R-101-payments", "R-102-ledger"]);
+  assert.deepStrictEqual(ids(discoverSuites({ dirs: [dir], include: ["R-10*"], exclude: ["R-102-*"] })), ["R-101-payments"]);
+  assert.deepStrictEqual(ids(discoverSuites({ dirs: [dir], tags: ["tag:payments"] })), ["R-101-payments"]);
+  assert.deepStrictEqual(ids(discoverSuites({ dirs: [dir], tags: [" tag : payments "] })), ["R-101-payments"]);
+  assert.ok(ids(discoverSuites({ tags: ["category: resolver-runtime"] })).includes("R-010-resolver-output-contract"));
+  assert.deepStrictEqual(ids(discoverSuites({ tags: ["category:kernel"] })), [
+    "R-001-allowlist", "R-002-io-contract", "R-003-failure-modes", "R-004-invalid-syntax",
+  ]);
+});
+
+test("duplicate ids and missing directories are errors", t => {
+  const dir = suitesDir(t, { "R-005-resolver-metadata-contract": {} });
+  assert.throws(() => discoverSuites({ dirs: [dir] }), /Duplicate suite id "R-005-resolver-metadata-contract"/);
+  assert.throws(() => discoverSuites({ dirs: [path.join(dir, "missing")] }), /Suites directory not found/);
+});
+
+test("a run certifies every non-kernel suite unless ids are given", () => {
+  const discovered = discoverSuites();
+  assert.ok(selectSuites(discovered).every(s => s.spec.category !== "kernel"));
+  assert.deepStrictEqual(
+    selectSuites(discovered, ["R-002-io-contract", "R-999-unknown"]).map(s => s.id || s),
+    ["R-002-io-contract", "R-999-unknown"]
+  );
+});
+
+test("an external suite runs like a bundled one", async t => {
+  const dir = suitesDir(t, {
+    "R-101-payments": {
+      category: "resolver-runtime",
+      fixtures: { inputs: [{ name: "example action", invoke: "__USE_RESOLVER_EXAMPLE_ACTION__" }] },
+      assertions: [{ id: "returns_object", type: "output_is_object", severity: "fatal", description: "object" }],
+    },
+  });
+  const [suite] = discoverSuites({ dirs: [dir], include: ["R-101-*"] });
+
+  assert.equal((await runSuite(suite, makeRiskResolver())).status, "pass");
+  assert.equal((await runSuite(suite, makeRiskResolver({ output: "low" }))).status, "fail");
+});
+
+test("globs match whole ids", () => {
+  assert.ok(globToRegExp("R-01*").test("R-010-resolver-output-contract"));
+  assert.ok(!globToRegExp("R-01?").test("R-010-resolver-output-contract"));
+  assert.ok(!globToRegExp("R.0*").test("R-010"));
+});
@@ -0,0 +1,60 @@
+// ----------------------
+// Resolver error shapes
+// ----------------------
+// Normalizes the error shapes resolvers use ({ error: "CODE" },
+// { error: '{"code":"CODE"}' }, { error: { code } } or a thrown Error with
+// .code) down to the bare code string.
+function extractErrorCode(error) {
+  if (error == null) return null;
+  if (typeof error === "object") return error.code || null;
+  if (typeof error === "string") {
+    try {
+      const parsed = JSON.parse(error);
+      if (parsed && typeof parsed === "object") return parsed.code || null;
+    } catch {
+      // plain string code
+    }
+    return error;
+  }
+  return null;
+}
+
+// Codes that describe the invocation itself rather than a dependency. They
+// are never transient, so a resolver must not retry on them.
+const VALIDATION_ERROR_CODES = ["MISSING_PARAMETER", "INVALID_INPUT", "UNRESOLVED_VARIABLES"];
+
+// ----------------------
+// Harness-level invocation failures
+// ----------------------
+// These are raised by the harness, not the resolver, and must never be
+// mistaken for a resolver rejecting its input: they abort the fixture.
+
+class ResolverTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Resolver did not settle within ${timeoutMs}ms`);
+    this.name = "ResolverTimeoutError";
+    this.code = "HARNESS_TIMEOUT";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+class ResolverCrashError extends Error {
+  constructor(reason, exitCode = null) {
+    super(`Resolver crashed the isolated runtime: ${reason}`);
+    this.name = "ResolverCrashError";
+    this.code = "HARNESS_CRASH";
+    this.exitCode = exitCode;
+  }
+}
+
+function isInvocationAbort(err) {
+  return err instanceof ResolverTimeoutError || err instanceof ResolverCrashError;
+}
+
+module.exports = {
+  extractErrorCode,
+  VALIDATION_ERROR_CODES,
+  ResolverTimeoutError,
+  ResolverCrashError,
+  isInvocationAbort,
+};
@@ -0,0 +1,65 @@
+const { createInstrumentedContext } = require("./context");
+const { extractErrorCode, VALIDATION_ERROR_CODES } = require("./errors");
+const { callResolver } = require("./invoke");
+
+// ----------------------
+// Fault injection (R-007)
+// ----------------------
+// For every entry in failures[] the resolver is invoked with all of its side
+// channels failing, and must surface exactly that code as a structured
+// { error } result. How the failure is provoked comes from the optional
+// `inject` hint on the declaration:
+//
+//   { code: "DATA_UNAVAILABLE", retries: 1 }                               dependency error carrying the code
+//   { code: "UPSTREAM_TIMEOUT", retries: 0, inject: "timeout" }            dependency times out
+//   { code: "NETWORK_ERROR", retries: 2, inject: "network" }               connection refused
+//   { code: "RATE_LIMITED", retries: 1, inject: { type: "http", status: 429 } }
+//
+// During injection globalThis.fetch is replaced by the same failing stand-in,
+// so resolvers that call fetch directly are exercised too. Validation codes
+// (VALIDATION_ERROR_CODES) come from the invocation, not from a dependency,
+// so they are not injected; the invalid-input probes cover them.
+
+function faultForFailure(failure) {
+  const inject = failure.inject;
+  if (!inject) return { type: "error", code: failure.code };
+  if (typeof inject === "string") return { type: inject, code: failure.code };
+  return { type: "error", ...inject, code: failure.code };
+}
+
+async function injectFaults(resolver, resolverMeta, input, { timeoutMs } = {}) {
+  const observations = [];
+
+  for (const failure of resolverMeta.failures || []) {
+    if (VALIDATION_ERROR_CODES.includes(failure.code)) continue;
+    const fault = faultForFailure(failure);
+    const { context, stats } = createInstrumentedContext({ fault });
+
+    const outcome = await callResolver(resolver, input, context, { timeoutMs, stubFetch: true });
+    const result = outcome.result;
+    const thrown = outcome.threw ? outcome.error : null;
+
+    const structured = !thrown && !!result && typeof result === "object" && "error" in result;
+    const surfaced = thrown ? extractErrorCode(thrown) : structured ? extractErrorCode(result.error) : null;
+    const exercised = stats.attempts > 0;
+
+    observations.push({
+      code: failure.code,
+      fault: fault.type,
+      exercised,
+      structured,
+      threw: !!thrown,
+      surfaced,
+      // A resolver that never touched a side channel cannot be driven into the
+      // failure from outside, so it is reported but not held against it.
+      passed: !exercised || (structured && surfaced === failure.code),
+    });
+  }
+
+  return observations;
+}
+
+module.exports = {
+  injectFaults,
+  faultForFailure,
+};
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { injectFaults, faultForFailure } = require("./faults");
+const { RISK_DECLARATION } = require("./testing");
+
+const FAILURES = [
+  { code: "DATA_UNAVAILABLE", retries: 0 },
+  { code: "UPSTREAM_TIMEOUT", retries: 0, inject: "timeout" },
+  { code: "NETWORK_ERROR", retries: 0, inject: "network" },
+  { code: "RATE_LIMITED", retries: 0, inject: { type: "http", status: 429 } },
+];
+
+const ACTION = RISK_DECLARATION.exampleAction;
+
+function meta(failures = FAILURES) {
+  return { ...RISK_DECLARATION, failures };
+}
+
+// Maps whatever the dependency did to one of the declared codes
+function mappingResolver({ useGlobalFetch = false } = {}) {
+  return async (action, context) => {
+    const fetch = useGlobalFetch ? globalThis.fetch : context.fetch;
+    try {
+      const response = await fetch("https://risk.example/score");
+      if (response.status === 429) return { error: "RATE_LIMITED" };
+      return { output: { risk_score: 0.3 } };
+    } catch (err) {
+      if (err.code === "ETIMEDOUT") return { error: "UPSTREAM_TIMEOUT" };
+      if (err.code === "ECONNREFUSED") return { error: "NETWORK_ERROR" };
+      return { error: JSON.stringify({ code: err.code }) };
+    }
+  };
+}
+
+test("inject hints map to fault descriptions", () => {
+  assert.deepStrictEqual(faultForFailure(FAILURES[0]), { type: "error", code: "DATA_UNAVAILABLE" });
+  assert.deepStrictEqual(faultForFailure(FAILURES[1]), { type: "timeout", code: "UPSTREAM_TIMEOUT" });
+  assert.deepStrictEqual(faultForFailure(FAILURES[3]), { type: "http", status: 429, code: "RATE_LIMITED" });
+});
+
+test("a resolver surfacing every declared code as { error } passes", async () => {
+  const observations = await injectFaults(mappingResolver(), meta(), ACTION);
+  assert.deepStrictEqual(
+    observations.map(o => [o.code, o.fault, o.exercised, o.structured, o.surfaced, o.passed]),
+    [
+      ["DATA_UNAVAILABLE", "error", true, true, "DATA_UNAVAILABLE", true],
+      ["UPSTREAM_TIMEOUT", "timeout", true, true, "UPSTREAM_TIMEOUT", true],
+      ["NETWORK_ERROR", "network", true, true, "NETWORK_ERROR", true],
+      ["RATE_LIMITED", "http", true, true, "RATE_LIMITED", true],
+    ]
+  );
+});
+
+test("the global fetch fails too during injection and is restored afterwards", async () => {
+  const original = globalThis.fetch;
+  const observations = await injectFaults(mappingResolver({ useGlobalFetch: true }), meta(), ACTION);
+  assert.ok(observations.every(o => o.passed), JSON.stringify(observations));
+  assert.equal(globalThis.fetch, original);
+});
+
+test("throwing or surfacing a different code fails", async () => {
+  const throwing = async (action, context) => {
+    await context.callTool("score", {});
+    return { output: {} };
+  };
+  const [thrown] = await injectFaults(throwing, meta([FAILURES[0]]), ACTION);
+  assert.deepStrictEqual([thrown.threw, thrown.structured, thrown.surfaced, thrown.passed], [true, false, "DATA_UNAVAILABLE", false]);
+
+  const wrongCode = async (action, context) => {
+    try {
+      await context.callTool("score", {});
+    } catch {
+      return { error: "INTERNAL" };
+    }
+  };
+  const [wrong] = await injectFaults(wrongCode, meta([FAILURES[0]]), ACTION);
+  assert.deepStrictEqual([wrong.structured, wrong.surfaced, wrong.passed], [true, "INTERNAL", false]);
+});
+
+test("a resolver that never uses a side channel is reported but not failed", async () => {
+  const [observation] = await injectFaults(async () => ({ output: {} }), meta([FAILURES[0]]), ACTION);
+  assert.deepStrictEqual([observation.exercised, observation.passed], [false, true]);
+});
+
+test("validation codes are not injected", async () => {
+  const observations = await injectFaults(mappingResolver(), meta([...RISK_DECLARATION.failures, FAILURES[0]]), ACTION);
+  assert.deepStrictEqual(observations.map(o => o.code), ["DATA_UNAVAILABLE"]);
+});
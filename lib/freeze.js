@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const { releaseOnAbort } = require("./timeout");
+
+// ----------------------
+// Frozen nondeterminism sources (R-011 --trace-nondeterminism)
+// ----------------------
+// Replaces a source of nondeterminism with a constant for the duration of an
+// invocation:
+//   date     Date.now(), new Date() and Date() return 2000-01-01T00:00:00.000Z
+//   random   Math.random() returns 0.5
+//   uuid     crypto.randomUUID() (node:crypto and globalThis.crypto) returns
+//            00000000-0000-4000-8000-000000000000
+// Patches are reference-counted per source, so overlapping invocations can
+// freeze the same source; it is restored when the last one finishes.
+
+const FREEZABLE_SOURCES = ["date", "random", "uuid"];
+
+const FROZEN_TIME = Date.UTC(2000, 0, 1);
+const FROZEN_RANDOM = 0.5;
+const FROZEN_UUID = "00000000-0000-4000-8000-000000000000";
+
+function patchProperty(target, key, value) {
+  const original = Object.getOwnPropertyDescriptor(target, key);
+  Object.defineProperty(target, key, { value, writable: true, configurable: true });
+  return () => {
+    if (original) Object.defineProperty(target, key, original);
+    else delete target[key];
+  };
+}
+
+const PATCHES = {
+  date() {
+    const RealDate = Date;
+    // A function rather than a class, so Date() called without new still
+    // returns a string, as the real one does
+    function FrozenDate(...args) {
+      if (!new.target) return new RealDate(FROZEN_TIME).toString();
+      return Reflect.construct(RealDate, args.length === 0 ? [FROZEN_TIME] : args, new.target);
+    }
+    Object.setPrototypeOf(FrozenDate, RealDate);
+    FrozenDate.prototype = RealDate.prototype;
+    FrozenDate.now = () => FROZEN_TIME;
+    return patchProperty(globalThis, "Date", FrozenDate);
+  },
+  random() {
+    return patchProperty(Math, "random", () => FROZEN_RANDOM);
+  },
+  uuid() {
+    const restores = [patchProperty(crypto, "randomUUID", () => FROZEN_UUID)];
+    if (globalThis.crypto && globalThis.crypto !== crypto) {
+      restores.push(patchProperty(globalThis.crypto, "randomUUID", () => FROZEN_UUID));
+    }
+    return () => restores.reverse().forEach(restore => restore());
+  },
+};
+
+const active = new Map(); // source → { count, restore }
+
+function freeze(source) {
+  const entry = active.get(source);
+  if (entry) {
+    entry.count++;
+    return;
+  }
+  active.set(source, { count: 1, restore: PATCHES[source]() });
+}
+
+function unfreeze(source) {
+  const entry = active.get(source);
+  if (!entry) return;
+  if (--entry.count === 0) {
+    active.delete(source);
+    entry.restore();
+  }
+}
+
+// signal (optional) releases the sources early, e.g. when the invocation
+// timed out and fn may never settle
+async function withFrozenSources(sources, fn, signal) {
+  const frozen = (sources || []).filter(s => FREEZABLE_SOURCES.includes(s));
+  frozen.forEach(freeze);
+  const release = releaseOnAbort(() => frozen.forEach(unfreeze), signal);
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+module.exports = {
+  FREEZABLE_SOURCES,
+  withFrozenSources,
+};
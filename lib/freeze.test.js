@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { withFrozenSources } = require("./freeze");
+
+const originals = () => ({ Date, random: Math.random, uuid: crypto.randomUUID });
+
+test("each source is frozen only inside the call, then restored", async () => {
+  const before = originals();
+  const seen = await withFrozenSources(["date", "random", "uuid", "clock"], async () => ({
+    now: Date.now(),
+    iso: new Date().toISOString(),
+    called: Date(),
+    instance: new Date() instanceof Date,
+    parsed: new Date("2024-05-01T00:00:00Z").getUTCFullYear(),
+    random: Math.random(),
+    uuid: crypto.randomUUID(),
+    // Node 18 has no globalThis.crypto
+    webUuid: globalThis.crypto?.randomUUID(),
+  }));
+
+  assert.deepStrictEqual(seen, {
+    now: Date.UTC(2000, 0, 1),
+    iso: "2000-01-01T00:00:00.000Z",
+    called: new Date(Date.UTC(2000, 0, 1)).toString(),
+    instance: true,
+    parsed: 2024,
+    random: 0.5,
+    uuid: "00000000-0000-4000-8000-000000000000",
+    webUuid: globalThis.crypto ? "00000000-0000-4000-8000-000000000000" : undefined,
+  });
+  assert.deepStrictEqual(originals(), before);
+});
+
+test("sources are restored when the call throws", async () => {
+  const before = originals();
+  await assert.rejects(withFrozenSources(["random"], async () => {
+    throw new Error("boom");
+  }), /boom/);
+  assert.deepStrictEqual(originals(), before);
+});
+
+test("overlapping calls keep a source frozen until the last one finishes", async () => {
+  const realRandom = Math.random;
+  let finishFirst;
+  const first = withFrozenSources(["random"], () => new Promise(resolve => { finishFirst = resolve; }));
+  await withFrozenSources(["random"], async () => {});
+  assert.equal(Math.random(), 0.5, "still frozen for the first call");
+  finishFirst();
+  await first;
+  assert.equal(Math.random, realRandom);
+});
+
+test("an abort releases the sources before the call settles", async () => {
+  const realRandom = Math.random;
+  const controller = new AbortController();
+  let finish;
+  const pending = withFrozenSources(["random"], () => new Promise(resolve => { finish = resolve; }), controller.signal);
+  assert.equal(Math.random(), 0.5);
+  controller.abort();
+  assert.equal(Math.random, realRandom);
+  finish();
+  await pending;
+  assert.equal(Math.random, realRandom, "releasing twice does not unfreeze again");
+});
@@ -0,0 +1,212 @@
+const { callResolver } = require("./invoke");
+const { createInstrumentedContext } = require("./context");
+
+// ----------------------
+// Input-contract fuzzing (R-008)
+// ----------------------
+// Derives invalid invocations from the resolver's declared inputs[] and its
+// exampleAction: each required input omitted in turn, empty values, wrongly
+// typed values, oversized strings and unexpected extra fields. Every case
+// must be rejected with a structured { error } result; a thrown error does
+// not count, as the kernel cannot route it to a declared failure.
+//
+// String actions ("Action x customer_id=1 path=./db") are mutated token by
+// token; object actions (or resolvers without an exampleAction) are mutated
+// key by key. Random choices come from a seeded PRNG, so a reported seed
+// reproduces the exact same cases.
+
+const HUGE_STRING_LENGTH = 100000;
+
+// mulberry32 — small, fast and good enough for reproducible case generation
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    pick: list => list[Math.floor(next() * list.length)],
+    string: (length, alphabet = "abcdefghijklmnopqrstuvwxyz0123456789") => {
+      let out = "";
+      for (let i = 0; i < length; i++) out += alphabet[Math.floor(next() * alphabet.length)];
+      return out;
+    },
+  };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 0x7fffffff);
+}
+
+const WRONG_TYPE_VALUES = {
+  number: ["not_a_number", "NaN", "12abc", true],
+  integer: ["not_an_integer", "1.5", "12abc", true],
+  boolean: ["not_a_boolean", "maybe", 2],
+  object: ["{not json", "[]", 42],
+  array: ["not_an_array", "{}", 42],
+  string: [12345, true, { nested: true }],
+};
+
+const SAMPLE_VALUES = {
+  number: 1,
+  integer: 1,
+  boolean: true,
+  object: {},
+  array: [],
+  string: "sample",
+};
+
+// ----------------------
+// String action mutation
+// ----------------------
+function setToken(action, name, value) {
+  const rendered = typeof value === "string" && /\s/.test(value) ? `"${value}"` : String(value);
+  const token = new RegExp(`(^|\\s)${name}=("[^"]*"|\\S+)`);
+  return token.test(action)
+    ? action.replace(token, `$1${name}=${rendered}`)
+    : `${action} ${name}=${rendered}`;
+}
+
+function omitToken(action, name) {
+  return action
+    .replace(new RegExp(`(^|\\s)${name}=("[^"]*"|\\S+)`), "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function stringMutator(action) {
+  return {
+    omit: name => omitToken(action, name),
+    set: (name, value) => setToken(action, name, value),
+  };
+}
+
+// ----------------------
+// Object action mutation
+// ----------------------
+function objectMutator(action) {
+  return {
+    omit: name => {
+      const copy = { ...action };
+      delete copy[name];
+      return copy;
+    },
+    set: (name, value) => ({ ...action, [name]: value }),
+  };
+}
+
+function baseObjectAction(inputs) {
+  const action = {};
+  for (const input of inputs) {
+    action[input.name] = SAMPLE_VALUES[input.type] ?? SAMPLE_VALUES.string;
+  }
+  return action;
+}
+
+function declaredInputs(resolverMeta) {
+  return Array.isArray(resolverMeta?.inputs) ? resolverMeta.inputs.filter(i => i?.name) : [];
+}
+
+// Mutates the resolver's exampleAction (or a synthesized object action);
+// textual is true for "Action ..." strings
+function actionMutator(resolverMeta) {
+  const example = resolverMeta?.exampleAction;
+  const textual = typeof example === "string";
+  const mutator = textual
+    ? stringMutator(example)
+    : objectMutator(example && typeof example === "object" ? example : baseObjectAction(declaredInputs(resolverMeta)));
+  return { ...mutator, textual };
+}
+
+function generateInputCases(resolverMeta, { seed, hugeLength = HUGE_STRING_LENGTH } = {}) {
+  const random = createRandom(seed);
+  const inputs = declaredInputs(resolverMeta);
+  const mutator = actionMutator(resolverMeta);
+  const textual = mutator.textual;
+
+  const cases = [];
+  for (const input of inputs) {
+    if (input.required) {
+      cases.push({ kind: "missing_required", input: input.name, invocation: mutator.omit(input.name) });
+      cases.push({ kind: "empty_value", input: input.name, invocation: mutator.set(input.name, "") });
+    }
+
+    // A textual action can only carry string values, so string inputs have
+    // no expressible wrong type there
+    const candidates = (WRONG_TYPE_VALUES[input.type] || [])
+      .filter(v => !textual || typeof v === "string");
+    if (candidates.length > 0) {
+      const value = random.pick(candidates);
+      cases.push({
+        kind: "wrong_type",
+        input: input.name,
+        invocation: mutator.set(input.name, value),
+        detail: `${input.type} ← ${JSON.stringify(value)}`,
+      });
+    }
+
+    if (input.type === "string" || !input.type) {
+      cases.push({
+        kind: "huge_string",
+        input: input.name,
+        invocation: mutator.set(input.name, random.string(hugeLength)),
+        detail: `${hugeLength} characters`,
+      });
+    }
+  }
+
+  const extraName = `unexpected_${random.string(6)}`;
+  cases.push({
+    kind: "extra_field",
+    input: extraName,
+    invocation: mutator.set(extraName, random.string(8)),
+  });
+
+  return cases;
+}
+
+// Unexpected extra fields are tolerated by many kernels, so accepting them is
+// only a warning; every other generated case must be rejected.
+function isBlocking(testCase) {
+  return testCase.kind !== "extra_field";
+}
+
+function isRejection(outcome) {
+  if (outcome.threw) return true;
+  const result = outcome.result;
+  return !!result && typeof result === "object" && "error" in result && result.error != null;
+}
+
+async function runInputFuzz(resolver, resolverMeta, { seed = randomSeed(), timeoutMs } = {}) {
+  const cases = generateInputCases(resolverMeta, { seed });
+  const results = [];
+
+  for (const testCase of cases) {
+    const { context } = createInstrumentedContext();
+    const outcome = await callResolver(resolver, testCase.invocation, context, { timeoutMs });
+    results.push({
+      kind: testCase.kind,
+      input: testCase.input,
+      detail: testCase.detail,
+      blocking: isBlocking(testCase),
+      rejected: isRejection(outcome),
+      structured: !outcome.threw && isRejection(outcome),
+      ...(outcome.threw ? { error: outcome.error?.message || String(outcome.error) } : {}),
+    });
+  }
+
+  return { seed, cases: results };
+}
+
+module.exports = {
+  generateInputCases,
+  runInputFuzz,
+  randomSeed,
+  createRandom,
+  actionMutator,
+  declaredInputs,
+};
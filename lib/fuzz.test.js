@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { generateInputCases, runInputFuzz, actionMutator } = require("./fuzz");
+const { runAssertions } = require("./runner");
+const { RISK_DECLARATION } = require("./testing");
+
+const meta = {
+  ...RISK_DECLARATION,
+  exampleAction: "Action risk transaction_id=42 note=hello",
+  inputs: [
+    { name: "transaction_id", type: "integer", required: true },
+    { name: "note", type: "string", required: false },
+  ],
+};
+
+test("generated cases cover every kind, and the same seed gives the same cases", () => {
+  const cases = generateInputCases(meta, { seed: 7, hugeLength: 10 });
+  assert.deepEqual(
+    [...new Set(cases.map(c => c.kind))].sort(),
+    ["empty_value", "extra_field", "huge_string", "missing_required", "wrong_type"]
+  );
+  assert.equal(cases.find(c => c.kind === "missing_required").invocation, "Action risk note=hello");
+  assert.deepEqual(generateInputCases(meta, { seed: 7, hugeLength: 10 }), cases);
+});
+
+test("actionMutator edits string actions token by token and object actions key by key", () => {
+  const textual = actionMutator(meta);
+  assert.equal(textual.textual, true);
+  assert.equal(textual.set("note", "two words"), 'Action risk transaction_id=42 note="two words"');
+  assert.equal(textual.omit("transaction_id"), "Action risk note=hello");
+
+  const object = actionMutator({ inputs: [{ name: "id", type: "number" }] });
+  assert.deepEqual(object.set("id", "x"), { id: "x" });
+  assert.deepEqual(object.omit("id"), {});
+});
+
+const fuzzSpec = {
+  assertions: [{ id: "generated", type: "rejects_generated_invalid_inputs", severity: "fatal" }],
+};
+
+async function fuzzResult(resolver) {
+  const inputFuzz = await runInputFuzz(resolver, meta, { seed: 1 });
+  return runAssertions(fuzzSpec, { inputFuzz, resolverMeta: meta }, { resolverMeta: meta });
+}
+
+test("invalid inputs rejected with a returned { error } pass", async () => {
+  const resolver = async action => (/transaction_id=\d+( |$)/.test(action) && !/unexpected_|note=\w{100}/.test(action)
+    ? { output: {} }
+    : { error: "INVALID_INPUT" });
+  assert.equal((await fuzzResult(resolver)).ok, true);
+});
+
+test("a resolver that throws on invalid inputs fails, showing the thrown message", async () => {
+  const resolver = async action => {
+    if (!/transaction_id=\d+( |$)/.test(action)) throw new Error("bad transaction id");
+    return { error: "INVALID_INPUT" };
+  };
+  const result = await fuzzResult(resolver);
+  assert.equal(result.ok, false);
+  assert.match(result.message, /threw instead of returning \{ error \}/);
+  assert.match(result.message, /bad transaction id/);
+});
+
+test("accepting only extra fields is a warning listing those cases", async () => {
+  const resolver = async action => (/transaction_id=\d+( |$)/.test(action) && !/note=\w{100}/.test(action)
+    ? { output: {} }
+    : { error: "INVALID_INPUT" });
+  const result = await fuzzResult(resolver);
+  assert.equal(result.ok, true);
+  assert.equal(result.warned, true);
+  assert.deepStrictEqual(result.failures.map(f => [f.id, f.severity]), [["generated", "warning"]]);
+  assert.match(result.message, /- extra_field \(.*\) \[tolerated\]/);
+
+  const inputFuzz = await runInputFuzz(resolver, meta, { seed: 1 });
+  const strict = await runAssertions(fuzzSpec, { inputFuzz, resolverMeta: meta }, { resolverMeta: meta, strict: true });
+  assert.equal(strict.ok, false);
+});
@@ -0,0 +1,141 @@
+const path = require("path");
+const fs = require("fs");
+const { canonicalize } = require("./canonical");
+const { diffValues } = require("./determinism");
+
+// ----------------------
+// Golden files (--record / --replay)
+// ----------------------
+// --record writes what each resolver-runtime fixture invocation produced to
+// <goldenDir>/<suite>/<fixture>.json. A golden file is itself a fixture:
+//
+//   {
+//     "name": "fixture #1",
+//     "invoke": "Action risk transaction_id=42",      the input actually sent
+//     "golden": { "output": { "risk_score": 0.3 } },  or { "error": code } / { "threw": ... }
+//     "ignore": ["$.output.generated_at"],            volatile paths, kept on re-record
+//     "suite": "...", "resolver": { "name", "version" }, "recorded_at": "..."
+//   }
+//
+// --replay merges each golden into the suite fixture of the same name (or
+// appends it as an extra fixture), so the recorded input is sent again. Any
+// fixture carrying `golden`, from a replay or from a fixture override, gets a
+// golden_match check comparing the new result as canonical JSON.
+//
+// Ignore paths use the field-level diff notation ("$.output.items[0].id").
+// "*" matches one key, "[*]" any index and "**" any depth; an ignored path
+// also covers everything below it. The leading "$." may be left out.
+
+const GOLDEN_MODES = ["record", "replay"];
+
+function slug(label) {
+  return String(label).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "fixture";
+}
+
+function goldenPath(dir, suite, label) {
+  return path.join(dir, suite, `${slug(label)}.json`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function ignorePattern(pattern) {
+  const normalized = pattern.startsWith("$") ? pattern : `$.${pattern}`;
+  const source = normalized
+    .split(/(\*\*|\[\*\]|\*)/)
+    .map(part =>
+      part === "**" ? ".*"
+        : part === "[*]" ? "\\[\\d+\\]"
+        : part === "*" ? "[^.\\[\\]]+"
+        : escapeRegExp(part)
+    )
+    .join("");
+  return new RegExp(`^${source}(?=$|[.[])`);
+}
+
+// Copy of value without the ignored paths
+function omitPaths(value, patterns, at = "$") {
+  if (!value || typeof value !== "object") return value;
+  if (Array.isArray(value)) {
+    return value
+      .map((item, i) => [`${at}[${i}]`, item])
+      .filter(([p]) => !patterns.some(re => re.test(p)))
+      .map(([p, item]) => omitPaths(item, patterns, p));
+  }
+  const kept = {};
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = `${at}.${key}`;
+    if (!patterns.some(re => re.test(childPath))) kept[key] = omitPaths(child, patterns, childPath);
+  }
+  return kept;
+}
+
+// Field-level differences between a golden and a new result; [] when equal
+function compareGolden(golden, result, ignore = []) {
+  const patterns = ignore.map(ignorePattern);
+  return diffValues(
+    omitPaths(canonicalize(golden), patterns),
+    omitPaths(canonicalize(result), patterns)
+  );
+}
+
+function readGolden(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid golden file ${filePath}: ${err.message}`);
+  }
+}
+
+// Writes (or overwrites) one golden; an existing file's ignore list is kept.
+// Returns the file path.
+function recordGolden({ dir, suite, label, input, result, resolverMeta }) {
+  const filePath = goldenPath(dir, suite, label);
+  const previous = fs.existsSync(filePath) ? readGolden(filePath) : null;
+
+  const golden = {
+    name: label,
+    invoke: input,
+    golden: canonicalize(result),
+    ignore: previous?.ignore || [],
+    suite,
+    resolver: { name: resolverMeta?.resolverName || "unknown", version: resolverMeta?.version || "" },
+    recorded_at: new Date().toISOString(),
+  };
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(golden, null, 2) + "\n");
+  return filePath;
+}
+
+function loadGoldens(dir, suite) {
+  const suiteDir = path.join(dir, suite);
+  if (!fs.existsSync(suiteDir)) return [];
+  return fs.readdirSync(suiteDir)
+    .filter(name => name.endsWith(".json"))
+    .sort()
+    .map(name => readGolden(path.join(suiteDir, name)));
+}
+
+// Suite fixtures with their goldens merged in by name, followed by goldens
+// that match no fixture. labelOf(fixture, index) names a fixture.
+function withGoldenFixtures(fixtures, goldens, labelOf) {
+  const byName = new Map(goldens.map(g => [slug(g.name), g]));
+  const merged = fixtures.map((fixture, i) => {
+    const key = slug(labelOf(fixture, i));
+    const golden = byName.get(key);
+    if (!golden) return fixture;
+    byName.delete(key);
+    return { ...fixture, name: labelOf(fixture, i), invoke: golden.invoke, golden: golden.golden, ignore: golden.ignore };
+  });
+  return [...merged, ...byName.values()];
+}
+
+module.exports = {
+  GOLDEN_MODES,
+  compareGolden,
+  recordGolden,
+  loadGoldens,
+  withGoldenFixtures,
+};
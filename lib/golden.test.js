@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { compareGolden, recordGolden, loadGoldens, withGoldenFixtures } = require("./golden");
+const { makeRiskResolver, tempDir, runSuite } = require("./testing");
+
+test("compareGolden ignores key order and the ignored paths", () => {
+  const golden = { output: { score: 1, meta: { at: "x", id: 1 }, items: [{ id: 1, v: 1 }, { id: 2, v: 2 }] } };
+  const same = { output: { items: [{ v: 1, id: 9 }, { v: 2, id: 8 }], meta: { id: 1, at: "y" }, score: 1 } };
+
+  assert.equal(compareGolden(golden, same).length, 3);
+  assert.deepStrictEqual(compareGolden(golden, same, ["$.output.meta.at", "output.items[*].id"]), []);
+  assert.deepStrictEqual(compareGolden(golden, same, ["**.at", "$.output.items"]), []);
+  assert.deepStrictEqual(compareGolden(golden, { ...same, output: { ...same.output, score: 2 } }, ["**.at", "$.output.items"]), [
+    { path: "$.output.score", expected: 1, actual: 2 },
+  ]);
+});
+
+test("an ignore path does not match a longer key with the same prefix", () => {
+  assert.deepStrictEqual(
+    compareGolden({ output: { id: 1, identity: "a" } }, { output: { id: 2, identity: "b" } }, ["$.output.id"]),
+    [{ path: "$.output.identity", expected: "a", actual: "b" }]
+  );
+});
+
+test("re-recording a golden keeps its ignore list", t => {
+  const dir = tempDir(t);
+  const record = result => recordGolden({
+    dir, suite: "R-010-x", label: "Example action", input: "Action risk id=1", result,
+    resolverMeta: { resolverName: "risk", version: "1.0.0" },
+  });
+
+  const filePath = record({ output: { b: 2, a: 1 } });
+  assert.equal(filePath, path.join(dir, "R-010-x", "example-action.json"));
+  const first = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  assert.equal(JSON.stringify(first.golden), '{"output":{"a":1,"b":2}}');
+  assert.deepStrictEqual(first.resolver, { name: "risk", version: "1.0.0" });
+
+  fs.writeFileSync(filePath, JSON.stringify({ ...first, ignore: ["$.output.a"] }));
+  record({ output: { a: 3 } });
+  const [second] = loadGoldens(dir, "R-010-x");
+  assert.deepStrictEqual(second.ignore, ["$.output.a"]);
+  assert.deepStrictEqual(second.golden, { output: { a: 3 } });
+  assert.deepStrictEqual(loadGoldens(dir, "R-999-none"), []);
+});
+
+test("goldens merge into fixtures by name and extra goldens are appended", () => {
+  const fixtures = [{ invoke: "suite input" }, { name: "other", invoke: "kept" }];
+  const goldens = [
+    { name: "Fixture #1", invoke: "recorded input", golden: { output: {} }, ignore: [] },
+    { name: "extra", invoke: "extra input", golden: { error: "E" }, ignore: [] },
+  ];
+  const merged = withGoldenFixtures(fixtures, goldens, (f, i) => f.name || `fixture #${i + 1}`);
+  assert.deepStrictEqual(merged.map(f => [f.name, f.invoke]), [
+    ["fixture #1", "recorded input"],
+    ["other", "kept"],
+    ["extra", "extra input"],
+  ]);
+});
+
+test("--record then --replay catches a changed output but not an ignored one", async t => {
+  const dir = tempDir(t);
+  let score = 0.3;
+  let stamp = 1;
+  const resolver = makeRiskResolver({
+    lookup: () => ({ risk_score: score, generated_at: stamp++ }),
+    declaration: { outputs: [{ name: "risk_score", type: "number" }, { name: "generated_at", type: "number" }] },
+  });
+  const run = (mode, ignore = []) => runSuite("R-010-resolver-output-contract", resolver, { golden: { mode, dir, ignore } });
+
+  const recorded = await run("record");
+  assert.equal(recorded.goldens.recorded.length, 2);
+
+  assert.equal((await run("replay")).status, "fail", "generated_at changed");
+  assert.equal((await run("replay", ["$.output.generated_at"])).status, "pass");
+
+  score = 0.9;
+  const changed = await run("replay", ["$.output.generated_at"]);
+  assert.equal(changed.status, "fail");
+  assert.match(changed.suites[0].failures.join("\n"), /\$\.output\.risk_score/);
+});
@@ -0,0 +1,81 @@
+const { takeSnapshot, diffSnapshots } = require("./snapshot");
+const { withTimeout, releaseOnAbort } = require("./timeout");
+const { isInvocationAbort } = require("./errors");
+const { withFrozenSources } = require("./freeze");
+
+// ----------------------
+// Single resolver invocation
+// ----------------------
+// Every call the harness makes into a resolver goes through callResolver, so
+// timeouts, fetch stubbing, frozen nondeterminism sources (lib/freeze.js) and
+// side-effect snapshots behave the same whether the resolver runs in-process
+// or isolated in a worker / child process (see lib/isolation.js). Resolves to { result, threw, error, mutations }; only
+// harness aborts (timeout, crash) reject.
+
+// signal (optional) restores the real fetch early, e.g. on timeout
+async function withStubbedFetch(stub, fn, signal) {
+  const original = Object.getOwnPropertyDescriptor(globalThis, "fetch");
+  Object.defineProperty(globalThis, "fetch", {
+    value: stub,
+    writable: true,
+    configurable: true,
+  });
+  const release = releaseOnAbort(() => {
+    if (original) {
+      Object.defineProperty(globalThis, "fetch", original);
+    } else {
+      delete globalThis.fetch;
+    }
+  }, signal);
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+function isIsolatedResolver(resolver) {
+  return typeof resolver?.invoke === "function" && !!resolver.isolation;
+}
+
+async function invokeInProcess(resolver, input, context, { observe, stubFetch, freeze, signal }) {
+  const before = observe ? takeSnapshot(resolver) : null;
+  const outcome = { result: undefined, threw: false, error: null, mutations: null };
+
+  try {
+    const run = () => stubFetch
+      ? withStubbedFetch(context.fetch, () => resolver(input, context), signal)
+      : resolver(input, context);
+    outcome.result = await withFrozenSources(freeze, run, signal);
+  } catch (err) {
+    outcome.threw = true;
+    outcome.error = err;
+  }
+
+  if (before) outcome.mutations = diffSnapshots(before, takeSnapshot(resolver));
+  return outcome;
+}
+
+async function callResolver(resolver, input, context = {}, { timeoutMs, observe = false, stubFetch = false, freeze = [] } = {}) {
+  if (isIsolatedResolver(resolver)) {
+    // The isolated runtime enforces the timeout itself so it can terminate
+    // a resolver that never settles.
+    return resolver.invoke(input, context, { timeoutMs, observe, stubFetch, freeze });
+  }
+
+  try {
+    return await withTimeout(
+      signal => invokeInProcess(resolver, input, context, { observe, stubFetch, freeze, signal }),
+      timeoutMs
+    );
+  } catch (err) {
+    if (isInvocationAbort(err)) throw err;
+    return { result: undefined, threw: true, error: err, mutations: null };
+  }
+}
+
+module.exports = {
+  callResolver,
+  withStubbedFetch,
+  isIsolatedResolver,
+};
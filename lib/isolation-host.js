@@ -0,0 +1,151 @@
+// ----------------------
+// Isolated resolver host
+// ----------------------
+// Entry point of the worker thread / child process started by
+// lib/isolation.js. Loads the resolver here, away from the harness, and
+// serves invocations over the message channel. Context hooks (callTool,
+// fetch, onRetry) are proxied back to the harness, which owns the
+// instrumented context.
+
+const { parentPort, workerData } = require("worker_threads");
+const { takeSnapshot, diffSnapshots } = require("./snapshot");
+const { withStubbedFetch } = require("./invoke");
+const { withFrozenSources } = require("./freeze");
+
+const channel = parentPort
+  ? { send: msg => parentPort.postMessage(msg), on: fn => parentPort.on("message", fn) }
+  : { send: msg => process.send(msg), on: fn => process.on("message", fn) };
+
+const resolverPath = parentPort ? workerData.resolverPath : process.argv[2];
+
+// Drops functions and other values that cannot cross the channel.
+function toCloneable(value) {
+  if (value === undefined) return undefined;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch {
+    return undefined;
+  }
+}
+
+function serializeError(err) {
+  if (err instanceof Error) {
+    return { name: err.name, message: err.message, code: err.code, stack: err.stack };
+  }
+  return { name: "Error", message: String(err), thrownValue: toCloneable(err) };
+}
+
+function deserializeError(data) {
+  const Ctor = data.name === "TypeError" ? TypeError : Error;
+  const err = new Ctor(data.message);
+  if (data.name) err.name = data.name;
+  if (data.code !== undefined) err.code = data.code;
+  return err;
+}
+
+function describeResolver(resolver) {
+  const props = {};
+  if (resolver && (typeof resolver === "object" || typeof resolver === "function")) {
+    for (const key of Object.keys(resolver)) {
+      if (key === "resolverDeclaration") continue;
+      const value = toCloneable(resolver[key]);
+      if (value !== undefined) props[key] = value;
+    }
+  }
+  return {
+    callable: typeof resolver === "function",
+    declaration: toCloneable(resolver?.resolverDeclaration),
+    props,
+  };
+}
+
+let resolver;
+try {
+  resolver = require(resolverPath);
+} catch (err) {
+  channel.send({ type: "load-error", error: serializeError(err) });
+  process.exit(1);
+}
+
+// ----------------------
+// Context proxy
+// ----------------------
+let nextCallId = 0;
+const pendingCalls = new Map();
+
+function callHarness(invocationId, method, args) {
+  const callId = ++nextCallId;
+  return new Promise((resolve, reject) => {
+    pendingCalls.set(callId, { resolve, reject });
+    channel.send({ type: "context-call", invocationId, callId, method, args: toCloneable(args) });
+  });
+}
+
+function createContextProxy(invocationId) {
+  return {
+    async callTool(name, args) {
+      return callHarness(invocationId, "callTool", [name, args]);
+    },
+    async fetch(url, options) {
+      const res = await callHarness(invocationId, "fetch", [String(url), options]);
+      return {
+        ok: res.ok,
+        status: res.status,
+        json: async () => res.json,
+        text: async () => res.text,
+      };
+    },
+    onRetry(code) {
+      channel.send({ type: "context-call", invocationId, callId: null, method: "onRetry", args: [code] });
+    },
+  };
+}
+
+// ----------------------
+// Invocations
+// ----------------------
+async function handleInvoke({ invocationId, input, options }) {
+  const context = createContextProxy(invocationId);
+  const before = options.observe ? takeSnapshot(resolver) : null;
+  const reply = { type: "result", invocationId, threw: false };
+
+  try {
+    const result = await withFrozenSources(options.freeze, () =>
+      options.stubFetch
+        ? withStubbedFetch(context.fetch, () => resolver(input, context))
+        : resolver(input, context)
+    );
+    reply.result = result;
+  } catch (err) {
+    reply.threw = true;
+    reply.error = serializeError(err);
+  }
+
+  if (before) reply.mutations = diffSnapshots(before, takeSnapshot(resolver));
+
+  try {
+    channel.send(reply);
+  } catch (err) {
+    channel.send({
+      type: "result",
+      invocationId,
+      threw: true,
+      error: serializeError(new Error(`Resolver result could not be transferred: ${err.message}`)),
+      mutations: reply.mutations,
+    });
+  }
+}
+
+channel.on(msg => {
+  if (msg.type === "invoke") {
+    handleInvoke(msg);
+  } else if (msg.type === "context-reply") {
+    const pending = pendingCalls.get(msg.callId);
+    if (!pending) return;
+    pendingCalls.delete(msg.callId);
+    if (msg.error) pending.reject(deserializeError(msg.error));
+    else pending.resolve(msg.value);
+  }
+});
+
+channel.send({ type: "ready", resolver: describeResolver(resolver) });
@@ -0,0 +1,230 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { fork } = require("child_process");
+const { ResolverTimeoutError, ResolverCrashError } = require("./errors");
+const { DEFAULT_TIMEOUT_MS } = require("./timeout");
+
+// ----------------------
+// Isolated resolver runtime
+// ----------------------
+// Loads the resolver in a worker thread ("worker") or child process
+// ("process") instead of require()-ing it into the harness, so it cannot
+// patch console, process.exit or the assertion handlers and certify itself.
+//
+// createIsolatedResolver() returns a stand-in that looks like the resolver
+// module to the rest of the harness (callable, carrying resolverDeclaration)
+// plus:
+//   invoke(input, context, options)  used by lib/invoke.js
+//   close()                          terminates the runtime
+//
+// Whatever the resolver prints to stdout goes to the harness's stderr, so it
+// cannot corrupt --json output or a report written to stdout.
+//
+// A runtime that exits or crashes mid-invocation rejects that invocation with
+// ResolverCrashError; one that does not settle in time is terminated and
+// rejects with ResolverTimeoutError. Either way the next invocation starts a
+// fresh runtime.
+
+const HOST_PATH = path.join(__dirname, "isolation-host.js");
+const ISOLATION_MODES = ["worker", "process"];
+
+function deserializeError(data) {
+  const Ctor = data.name === "TypeError" ? TypeError : Error;
+  const err = new Ctor(data.message);
+  if (data.name) err.name = data.name;
+  if (data.code !== undefined) err.code = data.code;
+  if (data.stack) err.stack = data.stack;
+  return err;
+}
+
+function serializeError(err) {
+  return { name: err?.name, message: err?.message ?? String(err), code: err?.code };
+}
+
+function spawnRuntime(mode, resolverPath) {
+  if (mode === "worker") {
+    const worker = new Worker(HOST_PATH, { workerData: { resolverPath }, stdout: true });
+    worker.stdout.pipe(process.stderr, { end: false });
+    return {
+      send: msg => worker.postMessage(msg),
+      onMessage: fn => worker.on("message", fn),
+      onExit: fn => {
+        worker.on("error", err => fn(err.message, null));
+        worker.on("exit", code => fn(`exited with code ${code}`, code));
+      },
+      kill: () => worker.terminate(),
+    };
+  }
+
+  const child = fork(HOST_PATH, [resolverPath], {
+    serialization: "advanced",
+    stdio: ["ignore", process.stderr, "inherit", "ipc"],
+  });
+  return {
+    send: msg => child.send(msg),
+    onMessage: fn => child.on("message", fn),
+    onExit: fn => {
+      child.on("error", err => fn(err.message, null));
+      child.on("exit", (code, signal) => fn(signal ? `killed by ${signal}` : `exited with code ${code}`, code));
+    },
+    kill: () => child.kill(),
+  };
+}
+
+async function createIsolatedResolver(resolverPath, { mode = "worker" } = {}) {
+  if (!ISOLATION_MODES.includes(mode)) {
+    throw new Error(`Unknown isolation mode "${mode}" (expected ${ISOLATION_MODES.join(" or ")})`);
+  }
+
+  let runtime = null;
+  let starting = null;
+  let nextInvocationId = 0;
+  const invocations = new Map();
+
+  function start() {
+    if (starting) return starting;
+    starting = new Promise((resolve, reject) => {
+      const current = spawnRuntime(mode, resolverPath);
+      let ready = false;
+
+      current.onMessage(async msg => {
+        if (msg.type === "ready") {
+          ready = true;
+          runtime = current;
+          resolve(msg.resolver);
+        } else if (msg.type === "load-error") {
+          reject(deserializeError(msg.error));
+        } else if (msg.type === "result") {
+          const pending = invocations.get(msg.invocationId);
+          if (!pending) return;
+          invocations.delete(msg.invocationId);
+          pending.resolve({
+            result: msg.result,
+            threw: msg.threw,
+            error: msg.threw ? deserializeError(msg.error) : null,
+            mutations: msg.mutations || null,
+          });
+        } else if (msg.type === "context-call") {
+          await answerContextCall(current, msg);
+        }
+      });
+
+      current.onExit((reason, exitCode) => {
+        if (runtime === current) runtime = null;
+        starting = null;
+        if (!ready) {
+          reject(new Error(`Isolated resolver runtime failed to start: ${reason}`));
+          return;
+        }
+        // Everything still in flight died with the runtime
+        for (const [id, pending] of invocations) {
+          if (pending.runtime !== current) continue;
+          invocations.delete(id);
+          pending.reject(new ResolverCrashError(reason, exitCode));
+        }
+      });
+    });
+    return starting;
+  }
+
+  async function answerContextCall(current, msg) {
+    const pending = invocations.get(msg.invocationId);
+    if (!pending) return;
+    const hook = pending.context?.[msg.method];
+
+    let reply;
+    try {
+      if (typeof hook !== "function") {
+        throw new Error(`Context does not provide ${msg.method}()`);
+      }
+      let value = await hook(...msg.args);
+      if (msg.method === "fetch" && value) {
+        // Responses carry functions; ship the already-read body instead
+        const text = await value.text();
+        let json;
+        try {
+          json = JSON.parse(text);
+        } catch {
+          json = await value.json().catch(() => undefined);
+        }
+        value = { ok: value.ok, status: value.status, text, json };
+      }
+      reply = { type: "context-reply", callId: msg.callId, value };
+    } catch (err) {
+      reply = { type: "context-reply", callId: msg.callId, error: serializeError(err) };
+    }
+
+    if (msg.callId !== null && runtime === current) current.send(reply);
+  }
+
+  async function invoke(input, context = {}, { timeoutMs = DEFAULT_TIMEOUT_MS, observe = false, stubFetch = false, freeze = [] } = {}) {
+    await start();
+    const current = runtime;
+    const invocationId = ++nextInvocationId;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        invocations.delete(invocationId);
+        // Terminate the stuck runtime; the next invocation gets a fresh one
+        runtime = null;
+        starting = null;
+        current.kill();
+        reject(new ResolverTimeoutError(timeoutMs));
+      }, timeoutMs);
+      timer.unref();
+
+      invocations.set(invocationId, {
+        runtime: current,
+        context,
+        resolve: value => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        reject: err => {
+          clearTimeout(timer);
+          reject(err);
+        },
+      });
+
+      try {
+        current.send({ type: "invoke", invocationId, input, options: { observe, stubFetch, freeze } });
+      } catch (err) {
+        invocations.delete(invocationId);
+        clearTimeout(timer);
+        reject(new Error(`Input could not be transferred to the isolated resolver: ${err.message}`));
+      }
+    });
+  }
+
+  async function close() {
+    const current = runtime;
+    runtime = null;
+    starting = null;
+    if (current) await current.kill();
+  }
+
+  const description = await start();
+
+  // Stand-in mirroring the resolver module's shape
+  const stub = description.callable
+    ? async (input, context) => {
+        const outcome = await invoke(input, context);
+        if (outcome.threw) throw outcome.error;
+        return outcome.result;
+      }
+    : {};
+  Object.assign(stub, description.props);
+  if (description.declaration !== undefined) {
+    stub.resolverDeclaration = description.declaration;
+  }
+  stub.invoke = invoke;
+  stub.close = close;
+  stub.isolation = mode;
+
+  return stub;
+}
+
+module.exports = {
+  createIsolatedResolver,
+  ISOLATION_MODES,
+};
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { createIsolatedResolver } = require("./isolation");
+const { callResolver } = require("./invoke");
+const { createInstrumentedContext } = require("./context");
+const { ResolverTimeoutError, ResolverCrashError } = require("./errors");
+const { tempDir } = require("./testing");
+
+// Behaviour is picked by the action text so one module covers every case
+const RESOLVER = `
+async function resolver(action, context) {
+  if (action === "hang") return new Promise(() => {});
+  if (action === "exit") process.exit(3);
+  if (action === "escape") {
+    globalThis.__isolation_escape = true;
+    process.exitCode = 9;
+    return { output: { escaped: true } };
+  }
+  if (action === "tool") {
+    await context.callTool("score", { id: 1 });
+    return { output: { called: true } };
+  }
+  if (action === "throw") throw Object.assign(new TypeError("bad input"), { code: "INVALID_INPUT" });
+  return { output: { echo: action } };
+}
+resolver.resolverDeclaration = { resolverName: "echo", version: "1.0.0" };
+resolver.extra = { kept: true };
+module.exports = resolver;
+`;
+
+function resolverFile(t) {
+  const file = path.join(tempDir(t), "resolver.js");
+  fs.writeFileSync(file, RESOLVER);
+  return file;
+}
+
+for (const mode of ["worker", "process"]) {
+  test(`${mode}: the stand-in mirrors the module and invokes it`, async t => {
+    const resolver = await createIsolatedResolver(resolverFile(t), { mode });
+    t.after(() => resolver.close());
+
+    assert.equal(resolver.isolation, mode);
+    assert.deepStrictEqual(resolver.resolverDeclaration, { resolverName: "echo", version: "1.0.0" });
+    assert.deepStrictEqual(resolver.extra, { kept: true });
+    assert.deepStrictEqual(await resolver("Action echo x=1"), { output: { echo: "Action echo x=1" } });
+
+    const thrown = await callResolver(resolver, "throw", {}, { timeoutMs: 5000 });
+    assert.equal(thrown.threw, true);
+    assert.ok(thrown.error instanceof TypeError);
+    assert.equal(thrown.error.code, "INVALID_INPUT");
+  });
+}
+
+test("context hooks are answered by the harness's instrumented context", async t => {
+  const resolver = await createIsolatedResolver(resolverFile(t));
+  t.after(() => resolver.close());
+  const { context, stats } = createInstrumentedContext();
+
+  const outcome = await callResolver(resolver, "tool", context, { timeoutMs: 5000 });
+  assert.deepStrictEqual(outcome.result, { output: { called: true } });
+  assert.equal(stats.attempts, 1);
+  assert.deepStrictEqual(stats.calls, [{ channel: "callTool", args: { name: "score", args: { id: 1 } } }]);
+});
+
+test("globals the resolver patches stay in its runtime", async t => {
+  const resolver = await createIsolatedResolver(resolverFile(t), { mode: "process" });
+  t.after(() => resolver.close());
+
+  await callResolver(resolver, "escape", {}, { timeoutMs: 5000 });
+  assert.equal(globalThis.__isolation_escape, undefined);
+  assert.equal(process.exitCode, undefined);
+});
+
+test("a hung runtime is terminated and the next invocation gets a fresh one", async t => {
+  const resolver = await createIsolatedResolver(resolverFile(t));
+  t.after(() => resolver.close());
+
+  await assert.rejects(callResolver(resolver, "hang", {}, { timeoutMs: 200 }), ResolverTimeoutError);
+  assert.deepStrictEqual((await callResolver(resolver, "again", {}, { timeoutMs: 5000 })).result, { output: { echo: "again" } });
+});
+
+test("a runtime that exits mid-invocation rejects with ResolverCrashError", async t => {
+  const resolver = await createIsolatedResolver(resolverFile(t), { mode: "process" });
+  t.after(() => resolver.close());
+
+  await assert.rejects(callResolver(resolver, "exit", {}, { timeoutMs: 5000 }), err => {
+    assert.ok(err instanceof ResolverCrashError);
+    assert.match(err.message, /exited with code 3/);
+    return true;
+  });
+  assert.deepStrictEqual((await callResolver(resolver, "again", {}, { timeoutMs: 5000 })).result, { output: { echo: "again" } });
+});
+
+test("an unknown mode is rejected", async () => {
+  await assert.rejects(createIsolatedResolver(__filename, { mode: "vm" }), /Unknown isolation mode "vm"/);
+});
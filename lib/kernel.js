@@ -0,0 +1,109 @@
+const path = require("path");
+const fs = require("fs");
+const { withTimeout } = require("./timeout");
+const { isInvocationAbort } = require("./errors");
+
+// ----------------------
+// Kernel conformance (R-001 → R-004)
+// ----------------------
+// Kernel suites drive @o-lang/olang itself: each fixture names a workflow.ol
+// in the suite directory, the inputs to run it with, and mock resolvers the
+// harness plugs into the kernel. Mocks are plain data in test.json:
+//
+//   "resolvers": {
+//     "bank-account-lookup": { "output": { "balance": 1200 } },
+//     "notify-telegram": { "error": "DELIVERY_FAILED" }
+//   }
+//
+// Every call the kernel routes to a mock is recorded, so assertions can check
+// what was (or was not) invoked and with which arguments.
+
+const ACTION_PATTERN = /^\s*(?:Action|Ask|Use)\s+([\w-]+)/;
+
+function resolveKernelApi(kernel) {
+  const parse = kernel?.parse || kernel?.parseWorkflow;
+  const execute = kernel?.execute || kernel?.executeWorkflow;
+  if (typeof parse !== "function" || typeof execute !== "function") {
+    throw new Error(
+      "Kernel must export parse(source) and execute(workflow, inputs, resolver)"
+    );
+  }
+  return { parse: parse.bind(kernel), execute: execute.bind(kernel) };
+}
+
+function createMockResolvers(mocks = {}) {
+  const calls = [];
+
+  async function resolver(action, context = {}) {
+    const name = typeof action === "string" ? action.match(ACTION_PATTERN)?.[1] : null;
+    if (!name || !(name in mocks)) return undefined;
+
+    calls.push({ resolver: name, action, context });
+    const response = mocks[name];
+    if (response && "error" in response) return { error: response.error };
+    return { output: response?.output ?? {} };
+  }
+  resolver.resolverName = "olang-kernel-test-mocks";
+
+  return { resolver, calls };
+}
+
+async function runKernelFixture(kernel, suiteDir, fixture, { timeoutMs } = {}) {
+  const api = resolveKernelApi(kernel);
+  const { resolver, calls } = createMockResolvers(fixture.resolvers);
+  const ctx = {
+    kernel,
+    workflowPath: path.join(suiteDir, fixture.workflow),
+    parsed: false,
+    parseError: null,
+    result: undefined,
+    error: null,
+    threw: false,
+    calls,
+  };
+
+  if (!fs.existsSync(ctx.workflowPath)) {
+    throw new Error(`Workflow missing: ${ctx.workflowPath}`);
+  }
+  const source = fs.readFileSync(ctx.workflowPath, "utf8");
+
+  let workflow;
+  try {
+    workflow = await withTimeout(() => api.parse(source), timeoutMs);
+    ctx.parsed = true;
+  } catch (err) {
+    if (isInvocationAbort(err)) throw err;
+    ctx.parseError = err;
+    return ctx;
+  }
+
+  try {
+    ctx.result = await withTimeout(() => api.execute(workflow, fixture.inputs || {}, resolver), timeoutMs);
+    if (ctx.result && typeof ctx.result === "object" && ctx.result.error != null) {
+      ctx.error = ctx.result.error;
+    }
+  } catch (err) {
+    if (isInvocationAbort(err)) throw err;
+    ctx.threw = true;
+    ctx.error = err;
+  }
+
+  return ctx;
+}
+
+// Kernels differ in where they put the returned values; look in the common
+// places (result, result.output, result.result, result.outputs).
+function workflowOutputs(result) {
+  if (!result || typeof result !== "object") return {};
+  for (const key of ["output", "outputs", "result"]) {
+    if (result[key] && typeof result[key] === "object" && !Array.isArray(result[key])) {
+      return result[key];
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  runKernelFixture,
+  workflowOutputs,
+};
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { workflowOutputs } = require("./kernel");
+const { runAllTests } = require("./runner");
+const { quiet } = require("./testing");
+
+const KERNEL_SUITES = ["R-001-allowlist", "R-002-io-contract", "R-003-failure-modes", "R-004-invalid-syntax"];
+
+// Just enough of an O-Lang kernel for the shipped workflows: an allowlist,
+// "Step N: Action ..." with {var.path} substitution, "Save as" and "Return"
+function toyKernel({ enforceAllowlist = true } = {}) {
+  return {
+    parse(source) {
+      const workflow = { allowed: [], steps: [], returns: [] };
+      for (const line of source.split("\n").map(l => l.trim()).filter(Boolean)) {
+        if ((line.match(/{/g) || []).length !== (line.match(/}/g) || []).length) {
+          throw new SyntaxError(`Unbalanced braces: ${line}`);
+        }
+        let match;
+        if ((match = /^- ([\w-]+)$/.exec(line))) workflow.allowed.push(match[1]);
+        else if ((match = /^Step \d+: (Action .+)$/.exec(line))) workflow.steps.push({ action: match[1] });
+        else if (/^Step\b/.test(line)) throw new SyntaxError(`Malformed step: ${line}`);
+        else if ((match = /^Save as (\w+)$/.exec(line))) workflow.steps[workflow.steps.length - 1].saveAs = match[1];
+        else if ((match = /^Return (.+)$/.exec(line))) workflow.returns = match[1].split(",").map(s => s.trim());
+        else if (/^(Save as|Return)$/.test(line)) throw new SyntaxError(`Incomplete statement: ${line}`);
+      }
+      return workflow;
+    },
+    async execute(workflow, inputs, resolver) {
+      const vars = { ...inputs };
+      const lookup = ref => ref.split(".").reduce((value, key) => value?.[key], vars);
+      for (const step of workflow.steps) {
+        const name = step.action.split(/\s+/)[1];
+        if (enforceAllowlist && !workflow.allowed.includes(name)) return { error: "RESOLVER_NOT_ALLOWED" };
+        const result = await resolver(step.action.replace(/{([\w.]+)}/g, (_, ref) => lookup(ref)));
+        if (result?.error) return { error: result.error };
+        if (step.saveAs) vars[step.saveAs] = result.output;
+      }
+      return { output: Object.fromEntries(workflow.returns.map(name => [name, vars[name]])) };
+    },
+  };
+}
+
+function run(kernel, suites = KERNEL_SUITES, options = {}) {
+  return runAllTests({ suites, resolver: kernel, seed: 1, onEvent: quiet, ...options });
+}
+
+test("a conformant kernel passes R-001 to R-004", async () => {
+  const result = await run(toyKernel());
+  assert.deepStrictEqual(
+    result.suites.map(s => [s.suite, s.status, s.failures]),
+    KERNEL_SUITES.map(id => [id, "pass", []])
+  );
+});
+
+test("a kernel that ignores the allowlist fails R-001", async () => {
+  const result = await run(toyKernel({ enforceAllowlist: false }), ["R-001-allowlist"]);
+  const failed = result.suites[0].assertions.filter(a => a.status === "fail").map(a => a.id);
+  assert.deepStrictEqual(failed.sort(), ["disallowed_resolver_never_invoked", "disallowed_step_fails_workflow"]);
+});
+
+test("a kernel without parse/execute is reported, not crashed on", async () => {
+  const result = await run({ version: "0.0.0" }, ["R-002-io-contract"]);
+  assert.equal(result.suites[0].status, "fail");
+  assert.match(result.suites[0].failures.join("\n"), /Kernel must export parse\(source\) and execute/);
+});
+
+test("a workflow that never finishes times out", async () => {
+  const kernel = { ...toyKernel(), execute: () => new Promise(() => {}) };
+  const result = await run(kernel, ["R-002-io-contract"], { timeoutMs: 100 });
+  assert.equal(result.suites[0].status, "timeout");
+});
+
+test("workflow outputs are found where kernels commonly put them", () => {
+  assert.deepStrictEqual(workflowOutputs({ output: { a: 1 } }), { a: 1 });
+  assert.deepStrictEqual(workflowOutputs({ result: { a: 1 } }), { a: 1 });
+  assert.deepStrictEqual(workflowOutputs({ a: 1 }), { a: 1 });
+  assert.deepStrictEqual(workflowOutputs(null), {});
+});
@@ -0,0 +1,202 @@
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const crypto = require("crypto");
+const { canonicalJson } = require("./canonical");
+const { validate, loadSchema } = require("./schema");
+const harness = require("../package.json");
+
+// ----------------------
+// Signed certification manifest (certification.json)
+// ----------------------
+// Binds a certification outcome to the exact resolver files it was earned
+// with: resolver name/version, a SHA-256 over the resolver package's files,
+// the harness version, the suites (with their protocol_version) and their
+// results. The manifest is signed with a local Ed25519 key; `verify` checks
+// the signature, re-hashes the resolver directory and re-derives the badge
+// from the manifest rather than trusting any SVG on disk.
+
+const MANIFEST_VERSION = 1;
+const DEFAULT_KEY_PATH = path.join(os.homedir(), ".olang", "signing-key.pem");
+
+// Harness outputs and dependencies are not part of the resolver's content
+const IGNORED_DIRS = new Set(["node_modules", ".git", "badges"]);
+const IGNORED_FILES = new Set(["conformance.json", "certification.json"]);
+
+// ----------------------
+// Resolver package hashing
+// ----------------------
+// OLANG_RESOLVER may name a file inside the package; the package is the
+// nearest directory holding a package.json (or the file's own directory).
+function resolverPackageDir(resolverPath) {
+  const start = fs.statSync(resolverPath).isDirectory() ? resolverPath : path.dirname(resolverPath);
+  for (let dir = start; ; dir = path.dirname(dir)) {
+    if (fs.existsSync(path.join(dir, "package.json"))) return dir;
+    if (path.dirname(dir) === dir) return start;
+  }
+}
+
+function listPackageFiles(dir, base = dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.has(entry.name)) files.push(...listPackageFiles(fullPath, base));
+    } else if (entry.isFile() && !IGNORED_FILES.has(entry.name)) {
+      files.push(path.relative(base, fullPath).split(path.sep).join("/"));
+    }
+  }
+  return files;
+}
+
+// Hashes "<relative path>\0<sha256 of content>\n" for every file in path
+// order, so renames, additions and edits all change the hash.
+function hashResolverPackage(dir) {
+  const files = listPackageFiles(dir).sort();
+  const hash = crypto.createHash("sha256");
+  for (const file of files) {
+    const content = fs.readFileSync(path.join(dir, file));
+    hash.update(`${file}\0${crypto.createHash("sha256").update(content).digest("hex")}\n`);
+  }
+  return { hash: `sha256:${hash.digest("hex")}`, files: files.length };
+}
+
+// ----------------------
+// Keys
+// ----------------------
+function keyId(publicKey) {
+  const der = publicKey.export({ type: "spki", format: "der" });
+  return `sha256:${crypto.createHash("sha256").update(der).digest("hex")}`;
+}
+
+// Loads the Ed25519 private key at keyPath. A missing key is only generated
+// at keyPath when it was given explicitly; without one, the default key is
+// used if it exists and otherwise the manifest is signed with an ephemeral key
+// that is never written (ephemeral: true), so nothing lands in the home
+// directory unasked.
+function loadSigningKey(explicitPath) {
+  const keyPath = explicitPath ?? DEFAULT_KEY_PATH;
+  if (fs.existsSync(keyPath)) {
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath));
+    if (privateKey.asymmetricKeyType !== "ed25519") {
+      throw new Error(`Signing key ${keyPath} is ${privateKey.asymmetricKeyType}, expected ed25519`);
+    }
+    return { privateKey, keyPath, created: false, ephemeral: false };
+  }
+
+  if (explicitPath === undefined) {
+    const { privateKey } = crypto.generateKeyPairSync("ed25519");
+    return { privateKey, keyPath: null, created: false, ephemeral: true };
+  }
+
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+  fs.writeFileSync(keyPath, privateKey.export({ type: "pkcs8", format: "pem" }), { mode: 0o600 });
+  return { privateKey, keyPath, created: true, ephemeral: false };
+}
+
+// ----------------------
+// Build / sign / verify
+// ----------------------
+function buildManifest({ resolverMeta, packageDir, result }) {
+  return {
+    manifest_version: MANIFEST_VERSION,
+    resolver: {
+      name: resolverMeta?.resolverName || "unknown",
+      version: resolverMeta?.version || "",
+    },
+    package: hashResolverPackage(packageDir),
+    harness: { name: harness.name, version: harness.version },
+    suites: result.suites.map(s => ({ id: s.suite, protocol_version: s.protocol_version || null })),
+    status: result.status,
+    strict: result.strict,
+    seed: result.seed,
+    results: result.suites.map(s => ({
+      suite: s.suite,
+      status: s.status,
+      failed: s.assertions.filter(a => a.status !== "pass").map(a => (a.fixture ? `${a.fixture} › ${a.id}` : a.id)),
+    })),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+function signManifest(manifest, privateKey) {
+  const publicKey = crypto.createPublicKey(privateKey);
+  const value = crypto.sign(null, Buffer.from(canonicalJson(manifest)), privateKey);
+  return {
+    manifest,
+    signature: {
+      algorithm: "ed25519",
+      key_id: keyId(publicKey),
+      public_key: publicKey.export({ type: "spki", format: "pem" }),
+      value: value.toString("base64"),
+    },
+  };
+}
+
+// Validates against schema/certification.schema.json before writing.
+function writeCertification(certification, outputDir = process.cwd()) {
+  const errors = validate(loadSchema("certification.schema.json"), certification);
+  if (errors.length > 0) {
+    throw new Error(`Certification manifest does not match schema:\n  ${errors.join("\n  ")}`);
+  }
+  const certificationPath = path.join(outputDir, "certification.json");
+  fs.writeFileSync(certificationPath, JSON.stringify(certification, null, 2));
+  return certificationPath;
+}
+
+// Returns { valid, problems, manifest }. With trustedPublicKey (PEM) the
+// manifest must also be signed by that key; without it, only integrity is
+// proven, not who signed.
+function verifyCertification(certification, { resolverDir, trustedPublicKey } = {}) {
+  const problems = validate(loadSchema("certification.schema.json"), certification);
+  if (problems.length > 0) {
+    return { valid: false, problems, manifest: null };
+  }
+
+  const { manifest, signature } = certification;
+  let publicKey;
+  try {
+    publicKey = crypto.createPublicKey(signature.public_key);
+  } catch (err) {
+    return { valid: false, problems: [`Embedded public key is unreadable: ${err.message}`], manifest };
+  }
+
+  if (keyId(publicKey) !== signature.key_id) {
+    problems.push("Signature key_id does not match the embedded public key");
+  }
+  if (trustedPublicKey && keyId(crypto.createPublicKey(trustedPublicKey)) !== keyId(publicKey)) {
+    problems.push(`Manifest was signed by ${signature.key_id}, not by the trusted key`);
+  }
+  const signed = crypto.verify(
+    null,
+    Buffer.from(canonicalJson(manifest)),
+    publicKey,
+    Buffer.from(signature.value, "base64")
+  );
+  if (!signed) {
+    problems.push("Signature does not match the manifest (it was modified after signing)");
+  }
+
+  if (resolverDir) {
+    const actual = hashResolverPackage(resolverDir);
+    if (actual.hash !== manifest.package.hash) {
+      problems.push(
+        `Resolver files differ from the certified build (${manifest.package.hash}, ${manifest.package.files} file(s)) — found ${actual.hash}, ${actual.files} file(s)`
+      );
+    }
+  }
+
+  return { valid: problems.length === 0, problems, manifest };
+}
+
+module.exports = {
+  DEFAULT_KEY_PATH,
+  resolverPackageDir,
+  hashResolverPackage,
+  loadSigningKey,
+  buildManifest,
+  signManifest,
+  writeCertification,
+  verifyCertification,
+};
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { tempDir } = require("./testing");
+
+// DEFAULT_KEY_PATH is derived from the home directory at load time
+function loadManifestWithHome(t, home) {
+  const previous = process.env.HOME;
+  process.env.HOME = home;
+  t.after(() => {
+    process.env.HOME = previous;
+    delete require.cache[require.resolve("./manifest")];
+  });
+  delete require.cache[require.resolve("./manifest")];
+  return require("./manifest");
+}
+
+function packageDir(t) {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, "package.json"), '{"name":"risk"}');
+  fs.writeFileSync(path.join(dir, "index.js"), "module.exports = () => {};");
+  return dir;
+}
+
+const RESULT = {
+  status: "pass",
+  strict: false,
+  seed: 1,
+  suites: [{ suite: "R-005-resolver-metadata-contract", protocol_version: "1.0", status: "pass", assertions: [] }],
+};
+
+test("an explicit key path is created on first use and reused afterwards", t => {
+  const { loadSigningKey } = require("./manifest");
+  const keyPath = path.join(tempDir(t), "keys", "signing-key.pem");
+
+  const first = loadSigningKey(keyPath);
+  assert.equal(first.created, true);
+  assert.equal(first.keyPath, keyPath);
+  assert.equal(fs.statSync(keyPath).mode & 0o777, 0o600);
+
+  const second = loadSigningKey(keyPath);
+  assert.equal(second.created, false);
+  assert.equal(second.privateKey.asymmetricKeyType, "ed25519");
+});
+
+test("the default key is never created implicitly", t => {
+  const home = tempDir(t);
+  const { loadSigningKey, DEFAULT_KEY_PATH } = loadManifestWithHome(t, home);
+  assert.equal(DEFAULT_KEY_PATH, path.join(home, ".olang", "signing-key.pem"));
+
+  const ephemeral = loadSigningKey(undefined);
+  assert.equal(ephemeral.ephemeral, true);
+  assert.equal(ephemeral.keyPath, null);
+  assert.equal(ephemeral.privateKey.asymmetricKeyType, "ed25519");
+  assert.equal(fs.existsSync(DEFAULT_KEY_PATH), false);
+
+  loadSigningKey(DEFAULT_KEY_PATH);
+  assert.deepStrictEqual(
+    { ...loadSigningKey(undefined), privateKey: undefined },
+    { privateKey: undefined, keyPath: DEFAULT_KEY_PATH, created: false, ephemeral: false }
+  );
+});
+
+test("a signed manifest verifies and detects tampering", t => {
+  const { loadSigningKey, buildManifest, signManifest, verifyCertification } = require("./manifest");
+  const { privateKey } = loadSigningKey(path.join(tempDir(t), "key.pem"));
+  const dir = packageDir(t);
+
+  const certification = signManifest(
+    buildManifest({ resolverMeta: { resolverName: "risk", version: "1.0.0" }, packageDir: dir, result: RESULT }),
+    privateKey
+  );
+  assert.deepStrictEqual(verifyCertification(certification, { resolverDir: dir }).problems, []);
+
+  const edited = structuredClone(certification);
+  edited.manifest.status = "fail";
+  assert.match(verifyCertification(edited).problems.join("\n"), /modified after signing/);
+
+  fs.writeFileSync(path.join(dir, "index.js"), "module.exports = () => ({ output: {} });");
+  assert.match(verifyCertification(certification, { resolverDir: dir }).problems.join("\n"), /Resolver files differ/);
+});
+
+test("only the trusted key is accepted when one is pinned", t => {
+  const { loadSigningKey, buildManifest, signManifest, verifyCertification } = require("./manifest");
+  const crypto = require("node:crypto");
+  const { privateKey } = loadSigningKey(path.join(tempDir(t), "key.pem"));
+  const other = crypto.generateKeyPairSync("ed25519").publicKey.export({ type: "spki", format: "pem" });
+
+  const certification = signManifest(
+    buildManifest({ resolverMeta: { resolverName: "risk", version: "1.0.0" }, packageDir: packageDir(t), result: RESULT }),
+    privateKey
+  );
+  const { problems } = verifyCertification(certification, { trustedPublicKey: other });
+  assert.match(problems.join("\n"), /not by the trusted key/);
+});
@@ -0,0 +1,65 @@
+const path = require("path");
+const { registerAssertion } = require("./runner");
+
+// ----------------------
+// Plugin modules (--plugin)
+// ----------------------
+// A plugin contributes custom assertion types, either declaratively:
+//
+//   module.exports = {
+//     assertions: [
+//       { name: "balance_in_integer_cents", check: async ctx => ..., guidance: details => "..." }
+//     ]
+//   };
+//
+// or as a function that registers them itself:
+//
+//   module.exports = ({ registerAssertion }) => { registerAssertion({ ... }); };
+
+function resolvePluginPath(specifier, baseDir = process.cwd()) {
+  // Relative paths are files next to the caller; anything else is a package
+  return specifier.startsWith(".") || path.isAbsolute(specifier)
+    ? path.resolve(baseDir, specifier)
+    : require.resolve(specifier, { paths: [baseDir] });
+}
+
+function applyPlugin(plugin, source) {
+  const api = { registerAssertion };
+
+  if (typeof plugin === "function") {
+    plugin(api);
+    return;
+  }
+  if (plugin && Array.isArray(plugin.assertions)) {
+    plugin.assertions.forEach(registerAssertion);
+    return;
+  }
+  throw new Error(
+    `Plugin ${source} must export a function or { assertions: [...] }`
+  );
+}
+
+// Registrations are process-wide, so each plugin is applied once no matter
+// how many runs ask for it
+const loaded = new Set();
+
+function loadPlugins(specifiers = [], { baseDir } = {}) {
+  for (const specifier of specifiers) {
+    const pluginPath = resolvePluginPath(specifier, baseDir);
+    if (loaded.has(pluginPath)) continue;
+
+    let plugin;
+    try {
+      plugin = require(pluginPath);
+    } catch (err) {
+      throw new Error(`Failed to load plugin ${specifier}: ${err.message}`);
+    }
+    applyPlugin(plugin?.default ?? plugin, specifier);
+    // Only once applied: a plugin that failed is reported again next time
+    loaded.add(pluginPath);
+  }
+}
+
+module.exports = {
+  loadPlugins,
+};
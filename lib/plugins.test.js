@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { loadPlugins } = require("./plugins");
+const { runAssertions, registerAssertion, unregisterAssertion, knownAssertionTypes } = require("./runner");
+const { tempDir } = require("./testing");
+
+function spec(type, extra = {}) {
+  return { assertions: [{ id: "custom", type, severity: "fatal", description: "custom check", ...extra }] };
+}
+
+test("a registered assertion type runs with the suite's target", async t => {
+  registerAssertion({
+    name: "declares_owner",
+    check: meta => (meta.owner ? true : { passed: false, details: { field: "owner" } }),
+    guidance: (details, { resolverMeta }) => `${resolverMeta.resolverName} is missing ${details.field}`,
+  });
+  t.after(() => unregisterAssertion("declares_owner"));
+
+  assert.ok(knownAssertionTypes().includes("declares_owner"));
+  assert.equal((await runAssertions(spec("declares_owner"), { resolverName: "pay", owner: "team" })).ok, true);
+
+  const failed = await runAssertions(spec("declares_owner"), { resolverName: "pay" });
+  assert.equal(failed.ok, false);
+  assert.equal(failed.failures[0].message, "pay is missing owner");
+});
+
+test("a throwing check fails only its assertion", async t => {
+  registerAssertion({ name: "always_throws", check: () => { throw new Error("boom"); } });
+  t.after(() => unregisterAssertion("always_throws"));
+
+  const result = await runAssertions(spec("always_throws"), {});
+  assert.deepStrictEqual(result.failures.map(f => f.message), ["Assertion check threw: boom"]);
+});
+
+test("registrations are validated", t => {
+  assert.throws(() => registerAssertion({ name: "NotSnake", check: () => true }), /must be snake_case/);
+  assert.throws(() => registerAssertion({ name: "no_check" }), /must provide a check function/);
+  assert.throws(() => registerAssertion({ name: "output_is_object", check: () => true }), /already registered/);
+
+  registerAssertion({ name: "twice", check: () => true });
+  t.after(() => unregisterAssertion("twice"));
+  assert.throws(() => registerAssertion({ name: "twice", check: () => true }), /already registered/);
+});
+
+test("plugins register declaratively or through the api, each once", async t => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, "declarative.js"),
+    'module.exports = { assertions: [{ name: "plugin_declarative", check: () => true }] };');
+  fs.writeFileSync(path.join(dir, "registering.js"),
+    'module.exports = ({ registerAssertion }) => registerAssertion({ name: "plugin_registering", check: () => false });');
+  t.after(() => ["plugin_declarative", "plugin_registering"].forEach(unregisterAssertion));
+
+  loadPlugins(["./declarative.js", "./registering.js"], { baseDir: dir });
+  loadPlugins(["./declarative.js"], { baseDir: dir });
+
+  assert.equal((await runAssertions(spec("plugin_declarative"), {})).ok, true);
+  assert.equal((await runAssertions(spec("plugin_registering"), {})).ok, false);
+});
+
+test("unusable plugins are reported by specifier", t => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, "empty.js"), "module.exports = 42;");
+  fs.writeFileSync(path.join(dir, "broken.js"), "throw new Error('syntax');");
+
+  // Twice: a plugin that failed is not remembered as loaded
+  for (let i = 0; i < 2; i++) {
+    assert.throws(() => loadPlugins(["./empty.js"], { baseDir: dir }), /Plugin \.\/empty\.js must export a function or \{ assertions/);
+    assert.throws(() => loadPlugins(["./broken.js"], { baseDir: dir }), /Failed to load plugin \.\/broken\.js: syntax/);
+  }
+});
+
+test("an unknown assertion type fails instead of passing silently", async () => {
+  const result = await runAssertions(spec("not_registered"), {});
+  assert.deepStrictEqual(result.failures.map(f => f.message), ["Unknown assertion type: not_registered"]);
+});
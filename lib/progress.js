@@ -0,0 +1,66 @@
+// ----------------------
+// Console progress
+// ----------------------
+// Default onEvent listener for runAllTests(): prints each suite's outcome as
+// it finishes, with a per-fixture breakdown when the suite runs a matrix.
+
+function printSuiteEnd({ suite, result, fixtures }) {
+  // Suites that never reached their fixtures (missing or invalid spec)
+  if (fixtures.length === 0) {
+    console.error(`❌ ${result.failures.join("\n")}`);
+    return;
+  }
+
+  if (result.status === "timeout") {
+    console.error(`\n⏱️  ${suite} timed out:\n`);
+  } else if (result.status === "fail") {
+    console.error(`\n❌ ${suite} failed:\n`);
+  } else if (result.status === "warn") {
+    console.warn(`\n⚠️  ${suite} passed with warnings:\n`);
+  } else {
+    console.log(`✅ ${suite} passed`);
+  }
+
+  for (const r of fixtures) {
+    if (fixtures.length > 1) {
+      const icon = r.timedOut ? "⏱️ " : !r.ok ? "❌" : r.warned ? "⚠️ " : "✅";
+      const line = `   ${icon} ${r.label}`;
+      if (r.ok) console.log(line);
+      else console.error(line);
+    }
+    if (!r.ok || r.warned) {
+      const log = r.ok ? console.warn : console.error;
+      log(r.message);
+      log("\n" + "=".repeat(60) + "\n");
+    }
+  }
+}
+
+function printProgress(event) {
+  if (event.type === "notice") {
+    console.warn(`\n⚠️  Warning: ${event.message}\n`);
+  } else if (event.type === "suite:end") {
+    printSuiteEnd(event);
+  }
+}
+
+// One line per suite, prefixed with the resolver, for runs that certify
+// several resolvers at once; full failure details go to each resolver's
+// own reports instead of interleaving on the console.
+function createCompactProgress(label) {
+  const icons = { pass: "✅", warn: "⚠️ ", fail: "❌", timeout: "⏱️ " };
+  return event => {
+    if (event.type === "notice") {
+      console.warn(`⚠️  [${label}] ${event.message}`);
+    } else if (event.type === "suite:end") {
+      const { status } = event.result;
+      const log = status === "pass" ? console.log : status === "warn" ? console.warn : console.error;
+      log(`${icons[status] || "❌"} [${label}] ${event.suite} ${status === "pass" ? "passed" : status}`);
+    }
+  };
+}
+
+module.exports = {
+  printProgress,
+  createCompactProgress,
+};
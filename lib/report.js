@@ -0,0 +1,41 @@
+const path = require("path");
+const fs = require("fs");
+const { validate, loadSchema } = require("./schema");
+
+// ----------------------
+// Conformance report (conformance.json)
+// ----------------------
+function buildConformanceReport({ resolverName, result }) {
+  return {
+    resolver: resolverName || "unknown",
+    timestamp: new Date().toISOString(),
+    status: result.status,
+    strict: result.strict,
+    seed: result.seed,
+    results: result.suites.map(s => ({
+      suite: s.suite,
+      status: s.status,
+      duration_ms: s.duration_ms,
+      assertions: s.assertions,
+      failures: s.failures,
+    })),
+  };
+}
+
+// Validates against schema/conformance.schema.json before writing, so a
+// malformed report never lands on disk.
+function writeConformanceReport(report, outputDir = process.cwd()) {
+  const errors = validate(loadSchema("conformance.schema.json"), report);
+  if (errors.length > 0) {
+    throw new Error(`Conformance report does not match schema:\n  ${errors.join("\n  ")}`);
+  }
+
+  const reportPath = path.join(outputDir, "conformance.json");
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  return reportPath;
+}
+
+module.exports = {
+  buildConformanceReport,
+  writeConformanceReport,
+};
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { buildConformanceReport, writeConformanceReport } = require("./report");
+const { makeRiskResolver, tempDir, runSuite } = require("./testing");
+
+async function report(resolver) {
+  const result = await runSuite("R-010-resolver-output-contract", resolver);
+  return buildConformanceReport({ resolverName: "risk", result });
+}
+
+test("every assertion is reported per suite and per fixture", async t => {
+  const conformance = await report(makeRiskResolver());
+  const [suite] = conformance.results;
+
+  assert.equal(conformance.status, "pass");
+  assert.equal(suite.suite, "R-010-resolver-output-contract");
+  assert.deepStrictEqual(suite.failures, []);
+  const fixtures = new Set(suite.assertions.map(a => a.fixture));
+  assert.deepStrictEqual([...fixtures], ["example action", "foreign action"]);
+  assert.ok(suite.assertions.every(a => a.status === "pass" && typeof a.duration_ms === "number"));
+
+  const written = writeConformanceReport(conformance, tempDir(t));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(written, "utf8")), conformance);
+});
+
+test("failed assertions are listed in failures, labelled with their fixture", async () => {
+  const conformance = await report(makeRiskResolver({ output: { risk_score: "high" } }));
+  const [suite] = conformance.results;
+
+  assert.equal(conformance.status, "fail");
+  assert.equal(suite.failures.length, 1);
+  assert.match(suite.failures[0], /^example action › output_field_types_match_contract: .*risk_score: expected number/s);
+  const failed = suite.assertions.filter(a => a.status === "fail");
+  assert.deepStrictEqual(failed.map(a => [a.fixture, a.id, a.severity]), [
+    ["example action", "output_field_types_match_contract", "fatal"],
+  ]);
+});
+
+test("a report that does not match the schema is never written", async t => {
+  const dir = tempDir(t);
+  const conformance = await report(makeRiskResolver());
+  conformance.status = "certified";
+
+  assert.throws(() => writeConformanceReport(conformance, dir), /does not match schema/);
+  assert.equal(fs.existsSync(path.join(dir, "conformance.json")), false);
+});
@@ -0,0 +1,25 @@
+// ----------------------
+// Shared helpers for reporters
+// ----------------------
+
+// Suites that never ran their assertions (missing or invalid spec, crash
+// before the first check) report their failures as one suite-level entry
+function suiteAssertions(result) {
+  if (result.assertions?.length) return result.assertions;
+  return (result.failures || []).map(message => ({
+    id: "suite",
+    severity: "fatal",
+    status: result.status === "timeout" ? "timeout" : "fail",
+    message,
+    duration_ms: result.duration_ms,
+  }));
+}
+
+function assertionName(assertion) {
+  return assertion.fixture ? `${assertion.fixture} › ${assertion.id}` : assertion.id;
+}
+
+module.exports = {
+  suiteAssertions,
+  assertionName,
+};
@@ -0,0 +1,61 @@
+const path = require("path");
+const fs = require("fs");
+const { formatJunit } = require("./junit");
+const { formatTap } = require("./tap");
+const { formatSarif } = require("./sarif");
+const { formatPretty } = require("./pretty");
+
+// ----------------------
+// Reporters (--reporter <format>[:<path>])
+// ----------------------
+// Each reporter turns the conformance report (see lib/report.js) into text.
+// Several may run at once; a reporter without a path writes to stdout.
+
+const REPORTERS = {
+  junit: formatJunit,
+  tap: formatTap,
+  sarif: formatSarif,
+  json: report => JSON.stringify(report, null, 2) + "\n",
+  pretty: formatPretty,
+};
+
+function parseReporterSpec(spec) {
+  const separator = spec.indexOf(":");
+  const format = separator === -1 ? spec : spec.slice(0, separator);
+  const output = separator === -1 ? null : spec.slice(separator + 1) || null;
+
+  if (!(format in REPORTERS)) {
+    throw new Error(
+      `Unknown reporter "${format}" (expected ${Object.keys(REPORTERS).join(", ")})`
+    );
+  }
+  return { format, output };
+}
+
+function formatReport(format, report, context = {}) {
+  return REPORTERS[format](report, context);
+}
+
+// Returns the paths written; stdout reporters are not included.
+function writeReports(report, specs, context = {}) {
+  const written = [];
+  for (const { format, output } of specs) {
+    const text = formatReport(format, report, context);
+    if (!output) {
+      process.stdout.write(text);
+      continue;
+    }
+    const outputPath = path.resolve(process.cwd(), output);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, text);
+    written.push(outputPath);
+  }
+  return written;
+}
+
+module.exports = {
+  REPORTERS,
+  parseReporterSpec,
+  formatReport,
+  writeReports,
+};
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { parseReporterSpec, formatReport, writeReports } = require(".");
+const { tempDir } = require("../testing");
+
+// One suite per outcome: pass, warn (fixture matrix), fail, timeout
+const REPORT = {
+  resolver: "risk",
+  timestamp: "2026-01-01T00:00:00.000Z",
+  status: "fail",
+  strict: false,
+  seed: 7,
+  results: [
+    {
+      suite: "R-005-resolver-metadata-contract",
+      status: "pass",
+      duration_ms: 3,
+      assertions: [{ id: "resolver_has_name", severity: "fatal", status: "pass", message: "", duration_ms: 1 }],
+      failures: [],
+    },
+    {
+      suite: "R-010-resolver-output-contract",
+      status: "warn",
+      duration_ms: 5,
+      assertions: [
+        { fixture: "example action", id: "output_is_object", severity: "fatal", status: "pass", message: "", duration_ms: 1 },
+        { fixture: "example action", id: "output_has_no_undeclared_fields", severity: "warning", status: "fail", message: "extra <debug> & \"more\"", duration_ms: 1 },
+      ],
+      failures: ["example action › output_has_no_undeclared_fields: extra <debug> & \"more\""],
+    },
+    {
+      suite: "R-011-resolver-determinism",
+      status: "fail",
+      duration_ms: 8,
+      assertions: [{ id: "same_input_same_output", severity: "fatal", status: "fail", message: "run 2 differs\nat $.score", duration_ms: 4 }],
+      failures: ["same_input_same_output: run 2 differs"],
+    },
+    {
+      suite: "R-012-resolver-side-effects",
+      status: "timeout",
+      duration_ms: 100,
+      assertions: [],
+      failures: ["⏱️  Resolver did not settle within 100 ms"],
+    },
+  ],
+};
+
+test("reporter specs are format[:path]", () => {
+  assert.deepStrictEqual(parseReporterSpec("junit"), { format: "junit", output: null });
+  assert.deepStrictEqual(parseReporterSpec("sarif:reports/c.sarif"), { format: "sarif", output: "reports/c.sarif" });
+  assert.throws(() => parseReporterSpec("html:x.html"), /Unknown reporter "html" \(expected junit, tap, sarif, json, pretty\)/);
+});
+
+test("junit: fatal failures are <failure>, timeouts <error>, warnings pass flagged", () => {
+  const xml = formatReport("junit", REPORT);
+  assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuites name="O-lang conformance: risk" tests="5" failures="1" errors="1"/);
+  assert.match(xml, /<testsuite name="R-010-resolver-output-contract" tests="2" failures="0" errors="0"/);
+  assert.match(xml, /name="example action › output_has_no_undeclared_fields"[^>]*>\n\s*<properties><property name="severity" value="warning"\/><\/properties>\n\s*<system-out>WARNING: extra &lt;debug&gt; &amp; &quot;more&quot;<\/system-out>/);
+  assert.match(xml, /<failure type="fatal" message="run 2 differs at \$\.score">run 2 differs\nat \$\.score<\/failure>/);
+  assert.match(xml, /<testcase classname="R-012-resolver-side-effects" name="suite" time="0\.100">\n\s*<error type="timeout"/);
+});
+
+test("tap: warnings are TODO, failed and timed-out suites not ok", () => {
+  const tap = formatReport("tap", REPORT);
+  const lines = tap.split("\n");
+  assert.deepStrictEqual(lines.slice(0, 2), ["TAP version 13", "1..4"]);
+  assert.ok(lines.includes("    not ok 2 - example action › output_has_no_undeclared_fields # TODO warning: extra <debug> & \"more\""));
+  assert.deepStrictEqual(
+    lines.filter(l => /^(not )?ok \d/.test(l)),
+    [
+      "ok 1 - R-005-resolver-metadata-contract",
+      "ok 2 - R-010-resolver-output-contract",
+      "not ok 3 - R-011-resolver-determinism",
+      "not ok 4 - R-012-resolver-side-effects",
+    ]
+  );
+  assert.match(tap, /# status: fail\n$/);
+});
+
+test("sarif: one rule per assertion, results for failures pointing at the resolver", () => {
+  const resolverPath = path.join(process.cwd(), "resolvers", "risk.js");
+  const sarif = JSON.parse(formatReport("sarif", REPORT, { resolverPath }));
+  const [run] = sarif.runs;
+
+  assert.equal(sarif.version, "2.1.0");
+  assert.equal(run.tool.driver.rules.length, 5);
+  assert.deepStrictEqual(
+    run.results.map(r => [r.ruleId, r.level, r.properties.status]),
+    [
+      ["R-010-resolver-output-contract/output_has_no_undeclared_fields", "warning", "fail"],
+      ["R-011-resolver-determinism/same_input_same_output", "error", "fail"],
+      ["R-012-resolver-side-effects/suite", "error", "timeout"],
+    ]
+  );
+  assert.deepStrictEqual(run.results[0].locations, [{ physicalLocation: { artifactLocation: { uri: "resolvers/risk.js" } } }]);
+  assert.equal(run.invocations[0].properties.seed, 7);
+});
+
+test("json and pretty", () => {
+  assert.deepStrictEqual(JSON.parse(formatReport("json", REPORT)), REPORT);
+  const pretty = formatReport("pretty", REPORT);
+  assert.match(pretty, /⚠️  R-010-resolver-output-contract \(5 ms\)\n   \[warning\] example action › output_has_no_undeclared_fields: extra/);
+  assert.match(pretty, /1 passed, 1 with warnings, 2 failed\n❌ Resolver is NOT certified\nseed: 7\n$/);
+});
+
+test("reports with a path are written, creating directories", t => {
+  const dir = tempDir(t);
+  const output = path.join(dir, "reports", "conformance.tap");
+
+  assert.deepStrictEqual(writeReports(REPORT, [{ format: "tap", output }]), [output]);
+  assert.equal(fs.readFileSync(output, "utf8"), formatReport("tap", REPORT));
+});
@@ -0,0 +1,85 @@
+const { suiteAssertions, assertionName } = require("./common");
+
+// ----------------------
+// JUnit XML reporter
+// ----------------------
+// <testsuites> is the run, each conformance suite a <testsuite> and each
+// assertion a <testcase> (named "fixture › id" for fixture matrices).
+// Fatal failures are <failure>, timeouts <error>; a failed warning-severity
+// assertion still passes but is flagged in its properties and <system-out>.
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+// Guidance messages span several lines; attributes get a one-line summary
+function summary(message, limit = 200) {
+  const text = String(message || "").replace(/\s+/g, " ").trim();
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+function renderTestcase(suite, assertion) {
+  const open = `    <testcase classname="${escapeXml(suite)}" name="${escapeXml(assertionName(assertion))}" time="${seconds(assertion.duration_ms)}"`;
+  const message = escapeXml(assertion.message || "");
+  const short = escapeXml(summary(assertion.message));
+
+  if (assertion.status === "pass") return `${open}/>`;
+  if (assertion.status === "timeout") {
+    return `${open}>\n      <error type="timeout" message="${short}"/>\n    </testcase>`;
+  }
+  if (assertion.severity === "warning") {
+    return [
+      `${open}>`,
+      `      <properties><property name="severity" value="warning"/></properties>`,
+      `      <system-out>WARNING: ${message}</system-out>`,
+      `    </testcase>`,
+    ].join("\n");
+  }
+  return `${open}>\n      <failure type="fatal" message="${short}">${message}</failure>\n    </testcase>`;
+}
+
+function formatJunit(report) {
+  let tests = 0;
+  let failures = 0;
+  let errors = 0;
+  let totalMs = 0;
+
+  const suites = report.results.map(result => {
+    const assertions = suiteAssertions(result);
+    const suiteFailures = assertions.filter(a => a.status === "fail" && a.severity !== "warning").length;
+    const suiteErrors = assertions.filter(a => a.status === "timeout").length;
+    tests += assertions.length;
+    failures += suiteFailures;
+    errors += suiteErrors;
+    totalMs += result.duration_ms || 0;
+
+    return [
+      `  <testsuite name="${escapeXml(result.suite)}" tests="${assertions.length}" failures="${suiteFailures}" errors="${suiteErrors}" skipped="0" time="${seconds(result.duration_ms)}" timestamp="${escapeXml(report.timestamp)}">`,
+      ...assertions.map(a => renderTestcase(result.suite, a)),
+      `  </testsuite>`,
+    ].join("\n");
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="O-lang conformance: ${escapeXml(report.resolver)}" tests="${tests}" failures="${failures}" errors="${errors}" time="${seconds(totalMs)}">`,
+    ...suites,
+    `</testsuites>`,
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  formatJunit,
+};
@@ -0,0 +1,41 @@
+const { suiteAssertions, assertionName } = require("./common");
+
+// ----------------------
+// Pretty reporter
+// ----------------------
+// Human-readable summary: one line per suite, its failing assertions
+// beneath, and the overall outcome.
+
+const SUITE_ICONS = { pass: "✅", warn: "⚠️ ", fail: "❌", timeout: "⏱️ " };
+const OUTCOMES = {
+  pass: "🏅 Resolver is O-lang CERTIFIED",
+  warn: "🏅 Resolver is O-lang CERTIFIED (with warnings)",
+  fail: "❌ Resolver is NOT certified",
+};
+
+function formatPretty(report) {
+  const lines = [`O-lang conformance: ${report.resolver}`, ""];
+
+  for (const result of report.results) {
+    const duration = result.duration_ms !== undefined ? ` (${result.duration_ms} ms)` : "";
+    lines.push(`${SUITE_ICONS[result.status] || "❌"} ${result.suite}${duration}`);
+    for (const assertion of suiteAssertions(result)) {
+      if (assertion.status === "pass") continue;
+      const message = String(assertion.message || assertion.status).replace(/\n/g, "\n      ");
+      lines.push(`   [${assertion.severity}] ${assertionName(assertion)}: ${message}`);
+    }
+  }
+
+  const count = status => report.results.filter(r => r.status === status).length;
+  lines.push(
+    "",
+    `${count("pass")} passed, ${count("warn")} with warnings, ${count("fail") + count("timeout")} failed`,
+    OUTCOMES[report.status] || OUTCOMES.fail
+  );
+  if (report.seed !== undefined) lines.push(`seed: ${report.seed}`);
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  formatPretty,
+};
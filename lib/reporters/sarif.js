@@ -0,0 +1,86 @@
+const path = require("path");
+const { suiteAssertions, assertionName } = require("./common");
+const { version } = require("../../package.json");
+
+// ----------------------
+// SARIF 2.1.0 reporter
+// ----------------------
+// One rule per suite assertion ("R-010-resolver-output-contract/output_is_object")
+// and one result per failed assertion: fatal → "error", warning → "warning".
+// Results point at the resolver under test when its path is known, so code
+// scanning can attach them to a file.
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+
+function ruleId(suite, assertion) {
+  return `${suite}/${assertion.id}`;
+}
+
+function resolverLocation(resolverPath) {
+  if (!resolverPath) return undefined;
+  const uri = path.relative(process.cwd(), resolverPath).split(path.sep).join("/");
+  return [{ physicalLocation: { artifactLocation: { uri } } }];
+}
+
+function formatSarif(report, { resolverPath } = {}) {
+  const rules = new Map();
+  const results = [];
+  const locations = resolverLocation(resolverPath);
+
+  for (const suite of report.results) {
+    for (const assertion of suiteAssertions(suite)) {
+      const id = ruleId(suite.suite, assertion);
+      if (!rules.has(id)) {
+        rules.set(id, {
+          id,
+          name: assertion.id,
+          shortDescription: { text: `${suite.suite}: ${assertion.id}` },
+          properties: { suite: suite.suite },
+        });
+      }
+      if (assertion.status === "pass") continue;
+
+      results.push({
+        ruleId: id,
+        level: assertion.severity === "warning" ? "warning" : "error",
+        message: { text: `${assertionName(assertion)}: ${assertion.message || assertion.status}` },
+        ...(locations ? { locations } : {}),
+        properties: {
+          suite: suite.suite,
+          fixture: assertion.fixture,
+          status: assertion.status,
+        },
+      });
+    }
+  }
+
+  const sarif = {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "olang-resolver-test",
+            version,
+            informationUri: "https://github.com/O-Lang-Central/resolver-test",
+            rules: [...rules.values()],
+          },
+        },
+        invocations: [
+          {
+            executionSuccessful: true,
+            endTimeUtc: report.timestamp,
+            properties: { resolver: report.resolver, status: report.status, seed: report.seed },
+          },
+        ],
+        results,
+      },
+    ],
+  };
+  return JSON.stringify(sarif, null, 2) + "\n";
+}
+
+module.exports = {
+  formatSarif,
+};
@@ -0,0 +1,60 @@
+const { suiteAssertions, assertionName } = require("./common");
+
+// ----------------------
+// TAP reporter (version 13, with subtests)
+// ----------------------
+// Each suite is a top-level test point with its assertions as an indented
+// subtest. A failed warning-severity assertion is "not ok ... # TODO", which
+// TAP consumers report without failing the run.
+
+function yamlBlock(fields, indent) {
+  const pad = " ".repeat(indent);
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== "")
+    .map(([key, value]) => `${pad}  ${key}: ${JSON.stringify(value)}`);
+  return [`${pad}  ---`, ...lines, `${pad}  ...`];
+}
+
+function description(text) {
+  // "#" starts a directive in TAP
+  return String(text).replace(/#/g, "\\#");
+}
+
+function formatTap(report) {
+  const lines = ["TAP version 13", `1..${report.results.length}`];
+
+  report.results.forEach((result, i) => {
+    const assertions = suiteAssertions(result);
+    lines.push(`    # Subtest: ${result.suite}`);
+    lines.push(`    1..${assertions.length}`);
+
+    assertions.forEach((assertion, j) => {
+      const name = description(assertionName(assertion));
+      if (assertion.status === "pass") {
+        lines.push(`    ok ${j + 1} - ${name}`);
+        return;
+      }
+      const todo = assertion.severity === "warning" ? ` # TODO warning: ${description(assertion.message || "")}` : "";
+      lines.push(`    not ok ${j + 1} - ${name}${todo}`);
+      lines.push(...yamlBlock({
+        severity: assertion.severity,
+        status: assertion.status,
+        message: assertion.message,
+        duration_ms: assertion.duration_ms,
+      }, 4));
+    });
+
+    const ok = result.status === "pass" || result.status === "warn";
+    lines.push(`${ok ? "ok" : "not ok"} ${i + 1} - ${description(result.suite)}`);
+    if (!ok) {
+      lines.push(...yamlBlock({ status: result.status, duration_ms: result.duration_ms }, 0));
+    }
+  });
+
+  lines.push(`# status: ${report.status}`);
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  formatTap,
+};
@@ -0,0 +1,146 @@
+const path = require("path");
+const fs = require("fs");
+const { globToRegExp } = require("./discovery");
+const { resolverPackageDir } = require("./manifest");
+
+// ----------------------
+// Resolver path expansion
+// ----------------------
+// Resolver entries (config `resolver`, OLANG_RESOLVER, --resolver) may be
+// plain paths or globs such as "resolvers/*/index.js" or "packages/**/resolver.js".
+// "*" and "?" match within one path segment, "**" any number of directories;
+// node_modules and dot-directories are never searched.
+
+const SKIPPED_DIRS = new Set(["node_modules"]);
+
+function isGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+function childDirs(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(e => e.isDirectory() && !SKIPPED_DIRS.has(e.name) && !e.name.startsWith("."))
+      .map(e => e.name);
+  } catch {
+    return [];
+  }
+}
+
+function expandSegments(base, segments) {
+  if (segments.length === 0) return fs.existsSync(base) ? [base] : [];
+
+  const [segment, ...rest] = segments;
+  if (segment === "**") {
+    // Zero directories, or descend one and keep "**" in play
+    return [
+      ...expandSegments(base, rest),
+      ...childDirs(base).flatMap(name => expandSegments(path.join(base, name), segments)),
+    ];
+  }
+  if (!isGlob(segment)) return expandSegments(path.join(base, segment), rest);
+
+  const pattern = globToRegExp(segment);
+  let entries;
+  try {
+    entries = fs.readdirSync(base);
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(name => pattern.test(name) && !SKIPPED_DIRS.has(name) && !name.startsWith("."))
+    .flatMap(name => expandSegments(path.join(base, name), rest));
+}
+
+// Returns absolute, de-duplicated paths in a stable order. A plain path is
+// kept even if it does not exist, so the caller can report it.
+function expandResolverPaths(patterns, cwd = process.cwd()) {
+  const found = [];
+  for (const pattern of patterns) {
+    const absolute = path.resolve(cwd, pattern);
+    if (!isGlob(absolute)) {
+      found.push(absolute);
+      continue;
+    }
+    const { root } = path.parse(absolute);
+    const segments = absolute.slice(root.length).split(path.sep);
+    found.push(...expandSegments(root, segments).sort());
+  }
+  return [...new Set(found)];
+}
+
+// ----------------------
+// Per-resolver package directories
+// ----------------------
+// A certification hashes its resolver's package (lib/manifest.js) and reads
+// test-fixtures/ from it. That is normally the nearest package.json's
+// directory, but resolvers in different directories under one package (a
+// monorepo with only a root package.json) would all hash the whole tree, so
+// each of those is keyed by its own directory instead. Resolvers in the same
+// directory stay one package.
+
+function ownDir(resolverPath) {
+  return fs.statSync(resolverPath).isDirectory() ? resolverPath : path.dirname(resolverPath);
+}
+
+function resolverPackageDirs(resolverPaths) {
+  const packages = resolverPaths.map(resolverPackageDir);
+  return resolverPaths.map((p, i) => {
+    const shared = resolverPaths.some((other, j) => packages[j] === packages[i] && ownDir(other) !== ownDir(p));
+    return shared ? ownDir(p) : packages[i];
+  });
+}
+
+// ----------------------
+// Per-resolver output directories
+// ----------------------
+// When several resolvers are certified in one run each gets its own
+// <outputDir>/<dir> for conformance.json, certification.json, reports and
+// badges. The name comes from the resolver's package directory (see
+// resolverPackageDirs), which is known before anything is loaded, so it is
+// stable across runs:
+//   resolvers/http/index.js       → http
+//   resolvers/db/lib/resolver.js  → db (nearest package.json) or db-resolver on a clash
+
+function sanitize(name) {
+  return name.replace(/[^a-zA-Z0-9_.-]/g, "_");
+}
+
+function resolverRunDirs(resolverPaths) {
+  const byPackage = resolverPackageDirs(resolverPaths).map(dir => sanitize(path.basename(dir)));
+  const withFile = resolverPaths.map((p, i) =>
+    `${byPackage[i]}-${sanitize(path.basename(p, path.extname(p)))}`
+  );
+  const count = names => names.reduce((m, n) => m.set(n, (m.get(n) || 0) + 1), new Map());
+
+  const packageCounts = count(byPackage);
+  const names = byPackage.map((name, i) => (packageCounts.get(name) > 1 ? withFile[i] : name));
+  const nameCounts = count(names);
+  return names.map((name, i) => (nameCounts.get(name) > 1 ? `${name}-${i + 1}` : name));
+}
+
+// ----------------------
+// Concurrency limit
+// ----------------------
+// Runs fn(item, index) for every item with at most `limit` in flight.
+// Results keep the input order; fn is expected to handle its own errors.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+module.exports = {
+  expandResolverPaths,
+  resolverPackageDirs,
+  resolverRunDirs,
+  mapWithConcurrency,
+};
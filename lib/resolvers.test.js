@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { expandResolverPaths, resolverPackageDirs, resolverRunDirs, mapWithConcurrency } = require("./resolvers");
+const { tempDir } = require("./testing");
+
+// Lays out files (path → content) under a fresh temp directory
+function tree(t, files) {
+  const root = tempDir(t);
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+  return root;
+}
+
+test("globs expand in a stable order and skip node_modules", t => {
+  const root = tree(t, {
+    "resolvers/http/index.js": "",
+    "resolvers/db/index.js": "",
+    "resolvers/node_modules/dep/index.js": "",
+  });
+  assert.deepStrictEqual(
+    expandResolverPaths(["resolvers/*/index.js"], root),
+    [path.join(root, "resolvers/db/index.js"), path.join(root, "resolvers/http/index.js")]
+  );
+});
+
+test("run directories are named after each resolver's package", t => {
+  const root = tree(t, {
+    "resolvers/http/package.json": "{}",
+    "resolvers/http/index.js": "",
+    "resolvers/db/package.json": "{}",
+    "resolvers/db/lib/resolver.js": "",
+    "resolvers/db/lib/admin.js": "",
+  });
+  const paths = ["resolvers/http/index.js", "resolvers/db/lib/resolver.js", "resolvers/db/lib/admin.js"]
+    .map(p => path.join(root, p));
+  assert.deepStrictEqual(resolverRunDirs(paths), ["http", "db-resolver", "db-admin"]);
+});
+
+test("resolvers sharing a monorepo package are keyed by their own directory", t => {
+  const root = tree(t, {
+    "package.json": "{}",
+    "resolvers/http/index.js": "",
+    "resolvers/db/index.js": "",
+  });
+  const paths = [path.join(root, "resolvers/http/index.js"), path.join(root, "resolvers/db/index.js")];
+  assert.deepStrictEqual(resolverPackageDirs(paths), [path.join(root, "resolvers/http"), path.join(root, "resolvers/db")]);
+  assert.deepStrictEqual(resolverRunDirs(paths), ["http", "db"]);
+});
+
+test("resolvers in the same directory are one package", t => {
+  const root = tree(t, { "package.json": "{}", "a.js": "", "b.js": "" });
+  assert.deepStrictEqual(resolverPackageDirs([path.join(root, "a.js"), path.join(root, "b.js")]), [root, root]);
+});
+
+test("mapWithConcurrency keeps input order within the limit", async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (ms, i) => {
+    peak = Math.max(peak, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    inFlight--;
+    return i;
+  });
+  assert.deepStrictEqual(results, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+});
@@ -1,5 +1,19 @@
 const path = require("path");
 const fs = require("fs");
+const { mergeMutations } = require("./snapshot");
+const { createInstrumentedContext, observedRetries } = require("./context");
+const { extractErrorCode, VALIDATION_ERROR_CODES, isInvocationAbort, ResolverTimeoutError, ResolverCrashError } = require("./errors");
+const { injectFaults } = require("./faults");
+const { runInputFuzz, generateInputCases, actionMutator, declaredInputs, randomSeed } = require("./fuzz");
+const { runBypassProbes } = require("./bypass");
+const { checkDeterminism, normalizeOutcome, DEFAULT_DETERMINISM_RUNS } = require("./determinism");
+const { compareGolden, recordGolden, loadGoldens, withGoldenFixtures } = require("./golden");
+const { callResolver } = require("./invoke");
+const { DEFAULT_TIMEOUT_MS } = require("./timeout");
+const { KNOWN_TYPES, checkDeclaredType, describeValue } = require("./types");
+const { runKernelFixture, workflowOutputs } = require("./kernel");
+const { loadSuiteSpec } = require("./spec");
+const { printProgress } = require("./progress");
 
 // ----------------------
 // Helper: Check if resolver handles templated prompts
@@ -11,8 +25,76 @@ function resolverHandlesTemplatedPrompts(resolverMeta) {
 // ----------------------
 // Validator functions for RESOLVER METADATA (R-005)
 // ----------------------
+// Without "expected" the field only has to be a non-empty string
 function checkResolverHasField(resolverMeta, assertion) {
-  return resolverMeta[assertion.field] === assertion.expected;
+  const value = resolverMeta[assertion.field];
+  if (assertion.expected === undefined) {
+    return typeof value === "string" && value.trim() !== "";
+  }
+  return value === assertion.expected;
+}
+
+// https://semver.org/#is-there-a-suggested-regular-expression-regex-to-check-a-semver-string
+const SEMVER_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+function checkResolverVersionSemver(resolverMeta) {
+  const version = resolverMeta.version;
+  if (typeof version === "string" && SEMVER_PATTERN.test(version)) return true;
+  return { passed: false, details: { version } };
+}
+
+// exampleAction is what R-010 invokes and R-008 mutates, so it must be an
+// "Action ..." string or an action object, and carry every required input
+function checkExampleActionValid(resolverMeta) {
+  const example = resolverMeta.exampleAction;
+  const required = (Array.isArray(resolverMeta.inputs) ? resolverMeta.inputs : [])
+    .filter(i => i && i.required && typeof i.name === "string")
+    .map(i => i.name);
+
+  let problem = null;
+  let missingInputs = [];
+  if (example === undefined || example === null || example === "") {
+    problem = "missing";
+  } else if (typeof example === "string") {
+    if (!/^Action\s+\S/.test(example)) {
+      problem = "not_an_action";
+    } else {
+      const tokens = example.split(/\s+/);
+      missingInputs = required.filter(name =>
+        !tokens.some(t => t.startsWith(`${name}=`) && t.length > name.length + 1)
+      );
+    }
+  } else if (typeof example === "object" && !Array.isArray(example)) {
+    missingInputs = required.filter(name => example[name] === undefined || example[name] === "");
+  } else {
+    problem = "wrong_type";
+  }
+
+  if (!problem && missingInputs.length > 0) problem = "missing_inputs";
+  return problem ? { passed: false, details: { problem, example, missingInputs } } : true;
+}
+
+function checkFieldNamesUnique(resolverMeta, assertion) {
+  const items = Array.isArray(resolverMeta[assertion.field]) ? resolverMeta[assertion.field] : [];
+  const names = items.map(item => item?.name).filter(name => typeof name === "string");
+  const duplicates = [...new Set(names.filter((name, i) => names.indexOf(name) !== i))];
+  return duplicates.length === 0
+    ? true
+    : { passed: false, details: { field: assertion.field, duplicates } };
+}
+
+// A type the harness does not know is never checked at runtime (see
+// lib/types.js), unless a JSON Schema describes it
+function checkFieldTypesKnown(resolverMeta) {
+  const unknown = [];
+  for (const field of ["inputs", "outputs"]) {
+    for (const item of Array.isArray(resolverMeta[field]) ? resolverMeta[field] : []) {
+      if (item && typeof item.type === "string" && !KNOWN_TYPES.includes(item.type) && !item.schema) {
+        unknown.push({ field, name: item.name, type: item.type });
+      }
+    }
+  }
+  return unknown.length === 0 ? true : { passed: false, details: { unknown } };
 }
 
 function checkResolverInputsValid(resolverMeta) {
@@ -77,6 +159,21 @@ function checkFailureCodeDeclared(observedError, resolverMeta) {
   return declaredCodes.includes(observedError.code);
 }
 
+// ✅ Every declared failure code must surface as { error } when provoked
+function checkInjectedFailuresSurfaced(observations) {
+  const violations = (observations || []).filter(o => !o.passed);
+  if (violations.length > 0) {
+    return {
+      passed: false,
+      details: {
+        reason: 'injected_failure_not_surfaced',
+        violations
+      }
+    };
+  }
+  return true;
+}
+
 function checkRejectsMissingRequiredInput(invocationResult) {
   // ✅ Option 1: Threw (legacy/tester fallback)
   if (invocationResult.threw) return true;
@@ -93,12 +190,58 @@ function checkRejectsMissingRequiredInput(invocationResult) {
 
   return false;
 }
+// ✅ Generated invalid invocations (fuzzing) must all be rejected
+function checkGeneratedInputsRejected(fuzz) {
+  if (!fuzz) return true;
+  const accepted = fuzz.cases.filter(c => !c.rejected);
+  // Rejected, but by throwing instead of returning { error }
+  const thrown = fuzz.cases.filter(c => c.rejected && !c.structured && c.blocking);
+  if (accepted.length === 0 && thrown.length === 0) return true;
+  return {
+    passed: false,
+    // Only tolerated cases (extra fields) accepted: reported, but not blocking
+    ...(accepted.some(c => c.blocking) || thrown.length > 0 ? {} : { severity: 'warning' }),
+    details: {
+      reason: 'generated_inputs_accepted',
+      seed: fuzz.seed,
+      total: fuzz.cases.length,
+      accepted,
+      thrown
+    }
+  };
+}
+
 function checkRetryCountWithinLimit(observedRetries, resolverMeta, errorCode) {
   const failure = (resolverMeta.failures || []).find(f => f.code === errorCode);
   if (!failure) return true;
   return observedRetries <= failure.retries;
 }
 
+// ✅ Compares retries observed through the instrumented context against
+// failures[].retries for every declared error code
+function checkRetryObservations(ctx) {
+  const violations = (ctx.retryObservations || []).filter(o => o.observed > o.declared);
+
+  if (ctx.error && !checkRetryCountWithinLimit(ctx.retryCount, ctx.resolverMeta, extractErrorCode(ctx.error))) {
+    const code = extractErrorCode(ctx.error);
+    const declared = ctx.resolverMeta.failures.find(f => f.code === code).retries;
+    if (!violations.some(v => v.code === code)) {
+      violations.push({ code, declared, observed: ctx.retryCount });
+    }
+  }
+
+  if (violations.length > 0) {
+    return {
+      passed: false,
+      details: {
+        reason: 'retry_limit_exceeded',
+        violations
+      }
+    };
+  }
+  return true;
+}
+
 // ✅ UPDATED: Handle both kernel-mode { output: ... } and direct-mode { field: value }
 function checkOutputIsObject(output) {
   if (!output || typeof output !== 'object' || Array.isArray(output)) {
@@ -161,94 +304,181 @@ function checkOutputFieldsMatchContract(output, resolverMeta) {
   return true;
 }
 
-function checkDeterministicOutput(results) {
-  if (results.length < 2) return true;
-  const first = JSON.stringify(results[0]);
-  return results.slice(1).every(r => JSON.stringify(r) === first);
+// Kernel mode nests fields under .output; direct mode returns them flat
+function unwrapOutput(output) {
+  if (!output || typeof output !== 'object') return null;
+  const actualOutput = 'output' in output ? output.output : output;
+  return actualOutput && typeof actualOutput === 'object' && !Array.isArray(actualOutput)
+    ? actualOutput
+    : null;
+}
+
+// ✅ Declared fields must carry values of their declared type
+function checkOutputFieldTypes(output, resolverMeta) {
+  const actualOutput = unwrapOutput(output);
+  if (!actualOutput) return true; // shape problems are reported by output_is_object
+
+  const mismatches = [];
+  for (const declared of resolverMeta.outputs || []) {
+    if (!(declared.name in actualOutput)) continue; // reported by output_fields_match_contract
+    const value = actualOutput[declared.name];
+    const problems = checkDeclaredType(value, declared);
+    if (problems.length > 0) {
+      mismatches.push({
+        field: declared.name,
+        expected: declared.schema ? 'schema' : declared.type,
+        actualType: describeValue(value),
+        actualValue: value,
+        problems: problems.map(p => p.replace(/^\$/, declared.name))
+      });
+    }
+  }
+
+  if (mismatches.length > 0) {
+    return {
+      passed: false,
+      details: {
+        reason: 'type_mismatch',
+        mismatches
+      }
+    };
+  }
+  return true;
 }
 
-function checkNoGlobalMutation() {
+// ⚠️ Fields the resolver returns but never declared in outputs[]
+function checkNoUndeclaredOutputFields(output, resolverMeta) {
+  const actualOutput = unwrapOutput(output);
+  if (!actualOutput) return true;
+
+  const declaredNames = (resolverMeta.outputs || []).map(o => o.name);
+  const extraFields = Object.keys(actualOutput).filter(name => !declaredNames.includes(name));
+  if (extraFields.length > 0) {
+    return {
+      passed: false,
+      details: {
+        reason: 'undeclared_fields',
+        extraFields,
+        expectedFields: declaredNames
+      }
+    };
+  }
   return true;
 }
 
+function checkDeterministicOutput(determinism) {
+  if (!determinism?.mismatch) return true;
+  return { passed: false, details: determinism };
+}
+
+function checkNoGlobalMutation(mutations) {
+  if (!mutations) return true;
+  return {
+    passed: false,
+    details: {
+      reason: 'global_mutation',
+      mutations
+    }
+  };
+}
+
 // ----------------------
-// Validator functions for RESOLVER KERNEL BYPASS (R-013)
+// Validator functions for KERNEL WORKFLOWS (R-001 → R-004)
 // ----------------------
+function workflowFailed(ctx) {
+  return !ctx.parsed || ctx.threw || ctx.error != null;
+}
 
-async function checkBlocksUnresolvedVariables(invocationResult, resolverMeta, testCase) {
-  // Skip if resolver doesn't handle templated prompts
-  if (!resolverHandlesTemplatedPrompts(resolverMeta)) {
-    return true; // Pass by default
-  }
-  
-  const resolverFunc = invocationResult.resolver;
-  const testInput = 'Ask llm-groq "Balance is {account_info.balance}"';
-  
-  try {
-    const result = await resolverFunc(testInput, {});
-    
-    // If it returns undefined, it's ignoring the action (unsafe)
-    if (result === undefined) {
-      return false;
-    }
-    
-    // If it returns a successful response, it's hallucinating (unsafe)
-    if (result && typeof result === 'object' && !result.error) {
-      return false;
-    }
-    
-    // If it returns an error, it must be UNRESOLVED_VARIABLES
-    if (result && typeof result === 'object' && result.error) {
-      return result.error === "UNRESOLVED_VARIABLES";
-    }
-    
-    return false; // Any other return type is unsafe
-    
-  } catch (e) {
-    // Thrown errors are acceptable (though structured errors are preferred)
-    return true;
-  }
+function checkWorkflowParses(ctx) {
+  return ctx.parsed;
 }
 
-async function checkNoDirectPromptParsing(invocationResult, resolverMeta) {
-  // Skip if resolver doesn't handle templated prompts
-  if (!resolverHandlesTemplatedPrompts(resolverMeta)) {
-    return true;
-  }
-  // This is verified by resolver structure compliance
-  return true;
+function checkWorkflowRejected(ctx) {
+  return workflowFailed(ctx);
 }
 
-async function checkNoDefaultValues(invocationResult, resolverMeta, testCase) {
-  // Skip if resolver doesn't handle templated prompts
-  if (!resolverHandlesTemplatedPrompts(resolverMeta)) {
-    return true;
-  }
-  
-  const resolverFunc = invocationResult.resolver;
-  const testInput = 'Ask llm-groq "Compute {value}"';
-  
-  try {
-    const result = await resolverFunc(testInput, {});
-    
-    // Should not return successful responses with hallucinated values
-    if (result && typeof result === 'object' && result.output) {
-      const output = result.output.response || '';
-      // Check for common hallucination patterns
-      if (output.includes('$0') || output.includes('0.00') || 
-          output.includes('undefined') || output.includes('null')) {
-        return false;
+function checkWorkflowSucceeded(ctx) {
+  return !workflowFailed(ctx);
+}
+
+function checkWorkflowErrorCode(ctx, assertion) {
+  const error = ctx.parseError || ctx.error;
+  return extractErrorCode(error) === assertion.expected;
+}
+
+function checkWorkflowOutputMatches(ctx, assertion) {
+  const outputs = workflowOutputs(ctx.result);
+  const expected = assertion.expected || {};
+  const mismatched = Object.keys(expected).filter(
+    key => JSON.stringify(outputs[key]) !== JSON.stringify(expected[key])
+  );
+  if (workflowFailed(ctx) || mismatched.length > 0) {
+    return {
+      passed: false,
+      details: {
+        reason: 'workflow_output_mismatch',
+        expected,
+        actualOutput: outputs,
+        error: ctx.parseError?.message || ctx.error?.message || ctx.error || null
       }
-    }
-    
-    // Returning errors or undefined is safe
-    return true;
-    
-  } catch (e) {
-    return true; // Errors are safe
+    };
   }
+  return true;
+}
+
+function checkResolverInvoked(ctx, assertion) {
+  const count = ctx.calls.filter(c => c.resolver === assertion.resolver).length;
+  return assertion.times === undefined ? count > 0 : count === assertion.times;
+}
+
+function checkResolverNotInvoked(ctx, assertion) {
+  return !ctx.calls.some(c => c.resolver === assertion.resolver);
+}
+
+// Arguments may arrive inline in the action (key=value) or via the context
+function checkResolverReceivedArguments(ctx, assertion) {
+  const calls = ctx.calls.filter(c => c.resolver === assertion.resolver);
+  return calls.some(call =>
+    Object.entries(assertion.expected || {}).every(([key, value]) =>
+      call.action.includes(`${key}=${value}`) ||
+      JSON.stringify(call.context?.[key]) === JSON.stringify(value)
+    )
+  );
 }
 
+// ----------------------
+// Validator functions for RESOLVER KERNEL BYPASS (R-013)
+// ----------------------
+
+function checkBlocksUnresolvedVariables(ctx) {
+  const probes = ctx.bypassProbes?.unresolved || [];
+  // Resolvers that template prompts must name the problem precisely
+  const requiredCode = resolverHandlesTemplatedPrompts(ctx.resolverMeta) ? 'UNRESOLVED_VARIABLES' : null;
+  const violations = probes.filter(p =>
+    !p.rejected || (requiredCode && !p.threw && p.code !== requiredCode)
+  );
+  if (violations.length === 0) return true;
+  return { passed: false, details: { seed: ctx.bypassProbes.seed, requiredCode, violations } };
+}
+
+function checkNoDirectPromptParsing(ctx) {
+  const provenance = ctx.bypassProbes?.provenance;
+  if (!provenance || provenance.leaks.length === 0) return true;
+  return { passed: false, details: { seed: ctx.bypassProbes.seed, ...provenance } };
+}
+
+function checkNoDefaultValues(ctx) {
+  const violations = (ctx.bypassProbes?.unresolved || []).filter(p => p.fabricated || p.sent.length > 0);
+  if (violations.length === 0) return true;
+  return { passed: false, details: { seed: ctx.bypassProbes.seed, violations } };
+}
+
+const NONDETERMINISM_SOURCES = {
+  date: 'Date / Date.now()',
+  random: 'Math.random()',
+  uuid: 'crypto.randomUUID()',
+};
+
 // ----------------------
 // Guidance Registry - Contextual Help
 // ----------------------
@@ -256,6 +486,145 @@ function getGuidanceMessage(assertionType, details, resolverMeta) {
   const resolverName = resolverMeta?.resolverName || 'unknown';
   
   switch (assertionType) {
+    case 'resolver_version_semver':
+      return `
+🔍 What happened?
+Your resolverDeclaration ${details.version === undefined ? 'does not declare a version' : `declares version ${JSON.stringify(details.version)}, which is not semver`}.
+
+💡 How to fix:
+- Declare version: "MAJOR.MINOR.PATCH", e.g. "1.2.0" or "2.0.0-beta.1"
+- Keep it in step with your package.json version; certification manifests record it
+
+📘 Learn more: https://o-lang.org/docs/conformance/metadata-contract      
+      `.trim();
+
+    case 'example_action_valid': {
+      const problems = {
+        missing: 'Your resolverDeclaration does not declare an exampleAction.',
+        not_an_action: `Your exampleAction ${JSON.stringify(details.example)} is not an action (expected "Action <name> key=value ...").`,
+        wrong_type: `Your exampleAction is a ${describeValue(details.example)}; expected an "Action ..." string or an object.`,
+        missing_inputs: `Your exampleAction does not set the required input(s): ${details.missingInputs.map(n => `"${n}"`).join(', ')}`,
+      };
+      return `
+🔍 What happened?
+${problems[details.problem]}
+
+💡 How to fix:
+- Declare one invocation your resolver handles successfully, e.g.
+  exampleAction: "Action ${resolverName} ${details.missingInputs.map(n => `${n}=...`).join(' ') || 'key=value'}"
+- Set every required input; R-010 invokes it and R-008 derives invalid inputs from it
+
+📘 Learn more: https://o-lang.org/docs/conformance/metadata-contract      
+      `.trim();
+    }
+
+    case 'field_names_unique':
+      return `
+🔍 What happened?
+Your ${details.field}[] declares the same name more than once: ${details.duplicates.map(n => `"${n}"`).join(', ')}
+
+💡 How to fix:
+- Give every entry in ${details.field}[] a distinct name
+- Workflows bind ${details.field === 'outputs' ? 'outputs' : 'inputs'} by name, so duplicates are ambiguous
+
+📘 Learn more: https://o-lang.org/docs/conformance/metadata-contract      
+      `.trim();
+
+    case 'field_types_known':
+      return `
+🔍 What happened?
+Your resolverDeclaration uses type names the harness does not know:
+${details.unknown.map(u => `- ${u.field}.${u.name}: "${u.type}"`).join('\n')}
+
+💡 How to fix:
+- Use one of: ${KNOWN_TYPES.join(', ')}
+- Or describe the shape with a JSON Schema in a "schema" property next to the type
+
+📘 Learn more: https://o-lang.org/docs/conformance/metadata-contract      
+      `.trim();
+
+    case 'blocks_unresolved_variables': {
+      const describeProbe = p =>
+        p.rejected ? `- ${p.input} = "${p.placeholder}": rejected with ${p.code || 'an error without a code'}` :
+        p.ignored ? `- ${p.input} = "${p.placeholder}": returned undefined (ignored its own action)` :
+        `- ${p.input} = "${p.placeholder}": accepted, returned ${JSON.stringify(p.output)}`;
+      return `
+🔍 What happened?
+Your exampleAction was sent with an unresolved placeholder in an input slot, and your resolver did not reject it${details.requiredCode ? ` with ${details.requiredCode}` : ''}:
+${details.violations.map(describeProbe).join('\n')}
+
+💡 How to fix:
+- Treat any value that still contains a {placeholder} as missing
+- Return { error: "UNRESOLVED_VARIABLES" } before calling any dependency (an LLM, an API)
+- Never fill in the value yourself; only the kernel resolves variables
+
+🎲 Reproduce with: --seed ${details.seed}
+
+📘 Learn more: https://o-lang.org/docs/conformance/kernel-bypass      
+      `.trim();
+    }
+
+    case 'no_default_values':
+      return `
+🔍 What happened?
+Given an unresolved input, your resolver produced a value the kernel never provided:
+${details.violations.map(p => [
+  ...(p.fabricated ? [`- ${p.input}: "${p.placeholder}" was replaced; returned ${JSON.stringify(p.output)}`] : []),
+  ...p.sent.map(v => `- ${p.input}: sent ${JSON.stringify(v.value)} to ${v.where}`),
+].join('\n')).join('\n')}
+
+💡 How to fix:
+- Do not default missing values to 0, "", null or a guess
+- Reject the invocation instead; the kernel decides how to handle missing data
+
+🎲 Reproduce with: --seed ${details.seed}
+
+📘 Learn more: https://o-lang.org/docs/conformance/kernel-bypass      
+      `.trim();
+
+    case 'no_direct_prompt_parsing':
+      return `
+🔍 What happened?
+Every input was given a unique canary value, but your resolver sent other values under those names:
+${details.leaks.map(l => `- ${l.field}: expected ${JSON.stringify(l.expected)}, sent ${JSON.stringify(l.value)} to ${l.where}`).join('\n')}
+
+💡 How to fix:
+- Use the input values exactly as the kernel passes them in
+- Do not extract variables from prompt text or reformat them before passing them on
+
+🎲 Reproduce with: --seed ${details.seed}
+
+📘 Learn more: https://o-lang.org/docs/conformance/kernel-bypass      
+      `.trim();
+
+    case 'deterministic_output': {
+      const { runs, mismatch, trace } = details;
+      const show = v => (v === undefined ? '(missing)' : JSON.stringify(v));
+      const cause = !trace
+        ? `
+🔎 Find the source with: --trace-nondeterminism`
+        : trace.sources.length > 0
+          ? `
+🔎 Cause: ${trace.sources.map(s => NONDETERMINISM_SOURCES[s]).join(', ')} (outputs were identical with ${trace.sources.length > 1 ? 'these' : 'it'} frozen)`
+          : trace.explained
+            ? `
+🔎 Cause: a combination of Date, Math.random and crypto.randomUUID (no single one explains it)`
+            : `
+🔎 Cause: not Date, Math.random or crypto.randomUUID — outputs still differed with all three frozen (shared state, I/O or ordering under concurrent calls)`;
+      return `
+🔍 What happened?
+${runs} identical invocations (1 alone, then ${runs - 1} concurrently) did not produce the same result. Run ${mismatch.run} differs from run 1:
+${mismatch.differences.map(d => `- ${d.path}: ${show(d.expected)} → ${show(d.actual)}`).join('\n')}${cause}
+
+💡 How to fix:
+- Derive outputs only from the inputs and the data they identify
+- Do not return timestamps, random values or generated ids as results
+- Keep no state that changes between or during overlapping invocations
+
+📘 Learn more: https://o-lang.org/docs/conformance/determinism      
+      `.trim();
+    }
+
     case 'output_fields_match_contract':
       if (details.reason === 'missing_fields') {
         const resolverTips = resolverName.includes('bank') ? `
@@ -276,13 +645,55 @@ But your resolver.js declares outputs: [${details.expectedFields.map(f => `"${f}
 💡 How to fix:
 1. Ensure your resolver returns the correct output structure
 2. Check your exampleAction matches your test logic
-3. Verify your test data exists${resolverTips}
+3. Verify your test data exists
+4. Compare with a generated skeleton: npx olang-resolver-test init <dir>${resolverTips}
 
 📘 Learn more: https://o-lang.org/docs/conformance/output-contract      
         `.trim();
       }
       break;
       
+    case 'output_field_types_match_contract':
+      return `
+🔍 What happened?
+Your resolver returned values that do not match the types declared in outputs[]:
+${details.mismatches.map(m => `- ${m.field}: expected ${m.expected}, got ${m.actualType} ${JSON.stringify(m.actualValue)}${
+  m.expected === 'schema' ? `\n    ${m.problems.join('\n    ')}` : ''}`).join('\n')}
+
+💡 How to fix:
+- Return values of the declared type (e.g. 0.82, not "high", for a number)
+- Or correct outputs[].type / outputs[].schema in your resolverDeclaration
+
+📘 Learn more: https://o-lang.org/docs/conformance/output-contract      
+      `.trim();
+
+    case 'output_has_no_undeclared_fields':
+      return `
+🔍 What happened?
+Your resolver returned fields that are not declared in outputs[]: ${details.extraFields.map(f => `"${f}"`).join(', ')}
+Declared outputs: [${details.expectedFields.map(f => `"${f}"`).join(', ')}]
+
+💡 How to fix:
+- Declare every field you return in outputs[] so workflows can rely on it
+- Or stop returning fields that are internal to the resolver
+
+📘 Learn more: https://o-lang.org/docs/conformance/output-contract      
+      `.trim();
+
+    case 'workflow_output_matches':
+      return `
+🔍 What happened?
+The workflow returned: ${JSON.stringify(details.actualOutput)}
+Expected it to include: ${JSON.stringify(details.expected)}${details.error ? `
+Kernel error: ${details.error}` : ''}
+
+💡 How to fix:
+- Ensure each step's "Save as" binding is carried into the workflow's Return values
+- Ensure resolver outputs are passed through unchanged
+
+📘 Learn more: https://o-lang.org/docs/conformance/io-contract      
+      `.trim();
+
     case 'rejects_missing_required_input':
       return `
 🔍 What happened?
@@ -295,6 +706,27 @@ Your resolver didn't reject invalid input properly.
 📘 Learn more: https://o-lang.org/docs/conformance/input-validation      
       `.trim();
       
+    case 'rejects_generated_invalid_inputs': {
+      const describeCase = c => `- ${c.kind} (${c.input}${c.detail ? `: ${c.detail}` : ''})${c.blocking ? '' : ' [tolerated]'}`;
+      return `
+🔍 What happened?
+${details.accepted.length > 0 ? `${details.accepted.length} of ${details.total} invalid invocations generated from your declared inputs[] were accepted:
+${details.accepted.map(describeCase).join('\n')}
+` : ''}${details.thrown.length > 0 ? `${details.thrown.length} of ${details.total} invalid invocations threw instead of returning { error }:
+${details.thrown.map(c => `${describeCase(c)}: ${c.error}`).join('\n')}
+` : ''}
+💡 How to fix:
+- Validate every required input before doing any work; return { error: "MISSING_PARAMETER" } when one is absent or empty
+- Check declared types and return { error: "INVALID_INPUT" } on mismatches
+- Return the error instead of throwing it, so the kernel can route it
+- Bound string lengths you pass on to dependencies
+
+🎲 Reproduce with: --seed ${details.seed}
+
+📘 Learn more: https://o-lang.org/docs/conformance/input-validation      
+      `.trim();
+    }
+
     case 'output_is_object':
       return `
 🔍 What happened?
@@ -307,6 +739,70 @@ Your resolver didn't return an object.
 
 📘 Learn more: https://o-lang.org/docs/conformance/output-contract      
       `.trim();
+
+    case 'injected_failures_surfaced':
+      return `
+🔍 What happened?
+Your resolver was driven into its declared failures but did not surface them as structured errors:
+${details.violations.map(v => `- ${v.code} (${v.fault} fault): ${
+  v.threw ? `threw ${v.surfaced || 'an error without a code'}` :
+  v.structured ? `returned { error: ${JSON.stringify(v.surfaced)} }` :
+  'returned no error'}`).join('\n')}
+
+💡 How to fix:
+- Catch dependency failures and return { error: "<CODE>" } with the declared code
+- Do not let exceptions escape the resolver for declared failure modes
+- Use the optional "inject" hint on failures[] ("timeout", "network", { type: "http", status }) to match how the failure really occurs
+
+📘 Learn more: https://o-lang.org/docs/conformance/failure-modes      
+      `.trim();
+
+    case 'retry_count_within_declared_limit':
+      return `
+🔍 What happened?
+Your resolver re-attempted failing operations more often than it declares:
+${details.violations.map(v => `- ${v.code}: declared retries ${v.declared}, observed ${v.observed}${
+  v.probe === 'invalid_input' ? ' (on invalid input, with no dependency failing)' : ''}`).join('\n')}
+
+💡 How to fix:
+- Stop retrying once failures[].retries attempts have been made for that code
+- Or raise the declared retries if the extra attempts are intentional
+- Report retries via context.onRetry(code) so the kernel can account for them
+
+📘 Learn more: https://o-lang.org/docs/conformance/failure-modes      
+      `.trim();
+
+    case 'no_global_state_mutation': {
+      const { mutations } = details;
+      const lines = [];
+      const describe = (label, diff) => {
+        if (diff.added.length) lines.push(`- ${label}: added ${diff.added.join(', ')}`);
+        if (diff.changed.length) lines.push(`- ${label}: changed ${diff.changed.join(', ')}`);
+        if (diff.deleted.length) lines.push(`- ${label}: deleted ${diff.deleted.join(', ')}`);
+      };
+      if (mutations.globals) describe('globalThis', mutations.globals);
+      if (mutations.env) describe('process.env', mutations.env);
+      if (mutations.cwd) lines.push(`- process.cwd(): ${mutations.cwd.before} → ${mutations.cwd.after}`);
+      for (const [name, diff] of Object.entries(mutations.prototypes || {})) {
+        describe(name, diff);
+      }
+      if (mutations.exports) describe('resolver exports', mutations.exports);
+      if (mutations.handles) lines.push(`- lingering handles still open after return: ${mutations.handles.added.join(', ')}`);
+
+      return `
+🔍 What happened?
+Your resolver left global state changed after it returned:
+${lines.join('\n')}
+
+💡 How to fix:
+- Keep state local to the invocation; never assign to globalThis or process.env
+- Do not patch built-in prototypes (Array.prototype, Object.prototype, ...)
+- Avoid process.chdir() and mutating your exported declaration at runtime
+- Clear timers and close sockets before resolving; await everything you start
+
+📘 Learn more: https://o-lang.org/docs/conformance/resolver-isolation      
+      `.trim();
+    }
   }
   
   return `Assertion failed. Check your resolver implementation.`;
@@ -322,50 +818,124 @@ const assertionHandlers = {
   resolver_outputs_valid: checkResolverOutputsValid,
   field_names_normalized: checkFieldNamesNormalized,
   resolver_failures_valid: checkResolverFailuresValid,
+  resolver_version_semver: checkResolverVersionSemver,
+  example_action_valid: checkExampleActionValid,
+  field_names_unique: (resolverMeta, assertion) => checkFieldNamesUnique(resolverMeta, assertion),
+  field_types_known: checkFieldTypesKnown,
 
   resolver_is_callable: (ctx) => checkResolverIsCallable(ctx.resolver),
   resolver_failure_declared: (ctx) => checkFailureCodeDeclared(ctx.error, ctx.resolverMeta),
+  injected_failures_surfaced: (ctx) => checkInjectedFailuresSurfaced(ctx.faultObservations),
   rejects_missing_required_input: (ctx) => checkRejectsMissingRequiredInput(ctx),
-  retry_count_within_declared_limit: (ctx) =>
-    checkRetryCountWithinLimit(ctx.retryCount, ctx.resolverMeta, ctx.error?.code),
+  rejects_generated_invalid_inputs: (ctx) => checkGeneratedInputsRejected(ctx.inputFuzz),
+  retry_count_within_declared_limit: (ctx) => checkRetryObservations(ctx),
   output_is_object: (ctx) => checkOutputIsObject(ctx.output),
   output_fields_match_contract: (ctx) => checkOutputFieldsMatchContract(ctx.output, ctx.resolverMeta),
-  deterministic_output: (ctx) => checkDeterministicOutput(ctx.outputs),
-  no_global_state_mutation: () => checkNoGlobalMutation(),
+  output_field_types_match_contract: (ctx) => checkOutputFieldTypes(ctx.output, ctx.resolverMeta),
+  output_has_no_undeclared_fields: (ctx) => checkNoUndeclaredOutputFields(ctx.output, ctx.resolverMeta),
+  deterministic_output: (ctx) => checkDeterministicOutput(ctx.determinism),
+  no_global_state_mutation: (ctx) => checkNoGlobalMutation(ctx.globalMutations),
+
+  // ----------------------
+  // R-001 → R-004 kernel workflow handlers
+  // ----------------------
+  workflow_parses: (ctx) => checkWorkflowParses(ctx),
+  workflow_rejected: (ctx) => checkWorkflowRejected(ctx),
+  workflow_succeeded: (ctx) => checkWorkflowSucceeded(ctx),
+  workflow_error_code: (ctx, assertion) => checkWorkflowErrorCode(ctx, assertion),
+  workflow_output_matches: (ctx, assertion) => checkWorkflowOutputMatches(ctx, assertion),
+  resolver_invoked: (ctx, assertion) => checkResolverInvoked(ctx, assertion),
+  resolver_not_invoked: (ctx, assertion) => checkResolverNotInvoked(ctx, assertion),
+  resolver_received_arguments: (ctx, assertion) => checkResolverReceivedArguments(ctx, assertion),
 
   // ----------------------
-  // R-013 handlers (now async)
+  // R-013 handlers (probes run in invokeResolverWithObservation)
   // ----------------------
-  blocks_unresolved_variables: async (ctx, assertion, status) => 
-    await checkBlocksUnresolvedVariables(ctx, ctx.resolverMeta, status),
-  no_direct_prompt_parsing: async (ctx, assertion, status) => 
-    await checkNoDirectPromptParsing(ctx, ctx.resolverMeta),
-  no_default_values: async (ctx, assertion, status) => 
-    await checkNoDefaultValues(ctx, ctx.resolverMeta, status),
+  blocks_unresolved_variables: (ctx) => checkBlocksUnresolvedVariables(ctx),
+  no_direct_prompt_parsing: (ctx) => checkNoDirectPromptParsing(ctx),
+  no_default_values: (ctx) => checkNoDefaultValues(ctx),
 };
 
+// ----------------------
+// Custom assertion types
+// ----------------------
+// Third-party assertion types registered by plugins (--plugin) or directly
+// through registerAssertion(). A check receives the same (ctx, assertion,
+// status) arguments as the built-in handlers and may return a boolean or
+// { passed, details }; when details are returned, guidance(details, info)
+// supplies the failure message. Built-in types cannot be overridden.
+const customAssertions = new Map();
+
+function registerAssertion({ name, check, guidance } = {}) {
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(name)) {
+    throw new Error(`Assertion type name must be snake_case, got ${JSON.stringify(name)}`);
+  }
+  if (typeof check !== 'function') {
+    throw new Error(`Assertion type "${name}" must provide a check function`);
+  }
+  if (guidance !== undefined && typeof guidance !== 'function') {
+    throw new Error(`Assertion type "${name}": guidance must be a function`);
+  }
+  if (name in assertionHandlers || customAssertions.has(name)) {
+    throw new Error(`Assertion type "${name}" is already registered`);
+  }
+  customAssertions.set(name, { name, check, guidance });
+}
+
+function unregisterAssertion(name) {
+  return customAssertions.delete(name);
+}
+
+function findAssertionHandler(type) {
+  if (type in assertionHandlers) return assertionHandlers[type];
+  return customAssertions.get(type)?.check || null;
+}
+
+function guidanceFor(type, details, assertion, resolverMeta) {
+  const custom = customAssertions.get(type);
+  if (custom) {
+    // Without a guidance provider the assertion's description is the message
+    return custom.guidance ? String(custom.guidance(details, { assertion, resolverMeta })) : null;
+  }
+  return getGuidanceMessage(type, details, resolverMeta);
+}
+
 // ----------------------
 // Main assertion runner with guided feedback
 // ----------------------
 async function runAssertions(testSpec, target, status = {}) {
   if (!testSpec.assertions?.length) {
-    return { ok: true, message: "No assertions defined" };
+    return { ok: true, message: "No assertions defined", failures: [], assertions: [] };
   }
 
   const failures = [];
+  const assertions = [];
 
   for (const assertion of testSpec.assertions) {
-    const { id, type, severity = "fatal", description } = assertion;
+    const { id, type, description } = assertion;
+    // --strict promotes warnings so they block certification like fatal checks
+    let severity = status.strict ? "fatal" : (assertion.severity || "fatal");
+    const startedAt = Date.now();
     let result = false;
+    let checkError = null;
 
-    if (type in assertionHandlers) {
-      result = await assertionHandlers[type](target, assertion, status);
+    const handler = findAssertionHandler(type);
+    if (handler) {
+      try {
+        result = await handler(target, assertion, status);
+      } catch (err) {
+        // A throwing check fails its assertion instead of the whole suite
+        if (isInvocationAbort(err)) throw err;
+        checkError = err;
+      }
     } else {
-      failures.push({
+      const failure = {
         id,
         severity,
         message: `Unknown assertion type: ${type}`,
-      });
+      };
+      failures.push(failure);
+      assertions.push({ ...failure, status: "fail", duration_ms: Date.now() - startedAt });
       continue;
     }
 
@@ -376,16 +946,22 @@ async function runAssertions(testSpec, target, status = {}) {
     if (typeof result === 'object' && result !== null) {
       passed = result.passed;
       details = result.details;
+      // A check may downgrade its own failure to a warning, except under --strict
+      if (result.severity === 'warning' && !status.strict) severity = 'warning';
     } else {
       passed = result;
     }
 
+    const duration_ms = Date.now() - startedAt;
+
     if (!passed) {
-      let message = description || `Assertion failed: ${id}`;
+      let message = checkError
+        ? `Assertion check threw: ${checkError.message}`
+        : description || `Assertion failed: ${id}`;
       
       // Add guided feedback
       if (details) {
-        message = getGuidanceMessage(type, details, status.resolverMeta || target);
+        message = guidanceFor(type, details, assertion, status.resolverMeta || target) || message;
       }
       
       failures.push({
@@ -393,23 +969,112 @@ async function runAssertions(testSpec, target, status = {}) {
         severity,
         message: message
       });
+      assertions.push({ id, severity, status: "fail", message, duration_ms });
+    } else {
+      assertions.push({ id, severity, status: "pass", message: description || "", duration_ms });
     }
   }
 
+  const ok = !failures.some(f => f.severity === "fatal");
   return {
-    ok: failures.length === 0,
-    message:
-      failures.length === 0
-        ? "All assertions passed"
-        : failures.map(f => `[${f.severity}] ${f.id}: ${f.message}`).join("\n\n"),
+    ok,
+    warned: ok && failures.length > 0,
+    message: formatFailures(failures),
     failures,
+    assertions,
+  };
+}
+
+function formatFailures(failures) {
+  return failures.length === 0
+    ? "All assertions passed"
+    : failures.map(f => `[${f.severity}] ${f.id}: ${f.message}`).join("\n\n");
+}
+
+// Wraps a suite-level problem (missing contract, crash) as a failed assertion
+// so it is reported the same way as a failing check.
+function suiteError(id, message, status = "fail") {
+  const failure = { id, severity: "fatal", message };
+  return {
+    ok: false,
+    timedOut: status === "timeout",
+    message: formatFailures([failure]),
+    failures: [failure],
+    assertions: [{ ...failure, status, duration_ms: 0 }],
   };
 }
 
 // ----------------------
 // Runtime resolver invoker with observation
 // ----------------------
-async function invokeResolverWithObservation(resolver, resolverMeta, testSpec, fixture) {
+function resolveFixtureInput(resolverMeta, fixture) {
+  // ✅ DYNAMIC INPUT: Use resolver's exampleAction if marker is present
+  if (fixture?.invoke === "__USE_RESOLVER_EXAMPLE_ACTION__") {
+    const exampleAction = resolverMeta?.exampleAction;
+    if (!exampleAction) {
+      throw new Error("Resolver must declare 'exampleAction' in resolver.js");
+    }
+    return exampleAction;
+  }
+  return fixture && 'invoke' in fixture ? fixture.invoke : {};
+}
+
+// An invocation that genuinely fails validation with the given code, derived
+// from the declared inputs; null when none can be built
+function invalidInvocation(code, resolverMeta, seed) {
+  const inputs = declaredInputs(resolverMeta);
+  if (inputs.length === 0) return null;
+  if (code === 'UNRESOLVED_VARIABLES') {
+    return actionMutator(resolverMeta).set(inputs[0].name, `{${inputs[0].name}}`);
+  }
+  const kinds = code === 'MISSING_PARAMETER' ? ['missing_required', 'empty_value'] : ['wrong_type', 'huge_string'];
+  return generateInputCases(resolverMeta, { seed }).find(c => kinds.includes(c.kind))?.invocation ?? null;
+}
+
+// Drives the resolver once per declared failure code and counts how often it
+// re-attempts. Dependency codes are injected into every context side channel;
+// surfacing the failure is expected, only the attempts matter. Validation
+// codes (VALIDATION_ERROR_CODES) only arise from the invocation itself, so
+// they are probed with invalid input: any repeated attempt is a retry.
+async function observeRetries(resolver, resolverMeta, input, timeoutMs, seed) {
+  const observations = [];
+  for (const failure of resolverMeta.failures || []) {
+    if (VALIDATION_ERROR_CODES.includes(failure.code)) {
+      const invalid = invalidInvocation(failure.code, resolverMeta, seed);
+      if (invalid === null) continue;
+      const { context, stats } = createInstrumentedContext();
+      await callResolver(resolver, invalid, context, { timeoutMs });
+      observations.push({
+        code: failure.code,
+        declared: failure.retries,
+        observed: Math.max(stats.reportedRetries[failure.code] || 0, stats.attempts - 1, 0),
+        attempts: stats.attempts,
+        probe: 'invalid_input'
+      });
+      continue;
+    }
+
+    const { context, stats } = createInstrumentedContext({ failWith: failure.code });
+    await callResolver(resolver, input, context, { timeoutMs });
+    observations.push({
+      code: failure.code,
+      declared: failure.retries,
+      observed: observedRetries(stats, failure.code),
+      attempts: stats.attempts,
+      probe: 'dependency_failure'
+    });
+  }
+  return observations;
+}
+
+const BYPASS_ASSERTION_TYPES = ['blocks_unresolved_variables', 'no_direct_prompt_parsing', 'no_default_values'];
+
+async function invokeResolverWithObservation(resolver, resolverMeta, testSpec, fixture, {
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  seed,
+  determinismRuns = DEFAULT_DETERMINISM_RUNS,
+  traceNondeterminism = false
+} = {}) {
   const ctx = {
     resolver,
     resolverMeta,
@@ -418,143 +1083,462 @@ async function invokeResolverWithObservation(resolver, resolverMeta, testSpec, f
     error: null,
     threw: false,
     retryCount: 0,
+    retryObservations: [],
+    faultObservations: [],
+    inputFuzz: null,
+    bypassProbes: null,
+    determinism: null,
+    input: null,
+    result: null,
+    globalMutations: null,
+    timeoutMs,
   };
+  const mutations = [];
 
-  // ✅ DYNAMIC INPUT: Use resolver's exampleAction if marker is present
-  let input;
-  if (fixture?.invoke === "__USE_RESOLVER_EXAMPLE_ACTION__") {
-    const exampleAction = resolverMeta?.exampleAction;
-    if (!exampleAction) {
-      throw new Error("Resolver must declare 'exampleAction' in resolver.js");
-    }
-    input = exampleAction;
-  } else {
-    input = fixture?.invoke || {};
-  }
+  const input = resolveFixtureInput(resolverMeta, fixture);
 
-  const runs = testSpec.test_id === 'R-011-determinism' ? 3 : 1;
+  const { context, stats } = createInstrumentedContext();
+  const outcome = await callResolver(resolver, input, context, { timeoutMs, observe: true });
+  mutations.push(outcome.mutations);
+  ctx.input = input;
+  ctx.result = normalizeOutcome(outcome);
 
-  for (let i = 0; i < runs; i++) {
-    try {
-      const result = await Promise.resolve(resolver(input));
-      
-      // ✅ PARSE RESOLVER RESPONSE CORRECTLY
-      if (result && typeof result === 'object') {
-        if ('error' in result) {
-          ctx.error = result.error;
-        } else if ('output' in result) {
-          ctx.output = result.output;
-          ctx.outputs.push(result.output);
-        } else {
-          // Direct mode - treat as output
-          ctx.output = result;
-          ctx.outputs.push(result);
-        }
+  if (outcome.threw) {
+    const err = outcome.error;
+    ctx.threw = true;
+    ctx.error = err;
+    ctx.retryCount = observedRetries(stats, err?.code);
+  } else {
+    const result = outcome.result;
+
+    // ✅ PARSE RESOLVER RESPONSE CORRECTLY
+    if (result && typeof result === 'object') {
+      if ('error' in result) {
+        ctx.error = result.error;
+        ctx.retryCount = observedRetries(stats, extractErrorCode(result.error));
+      } else if ('output' in result) {
+        ctx.output = result.output;
+        ctx.outputs.push(result.output);
       } else {
+        // Direct mode - treat as output
         ctx.output = result;
         ctx.outputs.push(result);
       }
+    } else {
+      ctx.output = result;
+      ctx.outputs.push(result);
+    }
+  }
+
+  // Repeated and concurrent runs only for suites that assert determinism (R-011)
+  if ((testSpec.assertions || []).some(a => a.type === 'deterministic_output')) {
+    ctx.determinism = await checkDeterminism(resolver, input, {
+      runs: determinismRuns,
+      trace: traceNondeterminism,
+      timeoutMs
+    });
+  }
+
+  // Retry probes only run for suites that assert on retry behaviour
+  if ((testSpec.assertions || []).some(a => a.type === 'retry_count_within_declared_limit')) {
+    ctx.retryObservations = await observeRetries(resolver, resolverMeta, input, timeoutMs, seed);
+  }
+
+  if ((testSpec.assertions || []).some(a => a.type === 'injected_failures_surfaced')) {
+    ctx.faultObservations = await injectFaults(resolver, resolverMeta, input, { timeoutMs });
+  }
+
+  // Kernel-bypass probes only run for suites that assert on them (R-013)
+  if ((testSpec.assertions || []).some(a => BYPASS_ASSERTION_TYPES.includes(a.type))) {
+    ctx.bypassProbes = await runBypassProbes(resolver, resolverMeta, { seed, timeoutMs });
+  }
+
+  // Generated-case mode: fixtures with "generate": "input_contract"
+  if (fixture?.generate === 'input_contract') {
+    ctx.inputFuzz = await runInputFuzz(resolver, resolverMeta, { seed, timeoutMs });
+  }
+
+  ctx.globalMutations = mergeMutations(mutations);
+  return ctx;
+}
+
+// ----------------------
+// Fixture expectations
+// ----------------------
+function checkFixtureExpectation(ctx, expect) {
+  if (!expect) return null;
+
+  if (expect.undefined === true) {
+    const ignored = !ctx.threw && ctx.error == null && ctx.output === undefined;
+    return ignored ? null : 'Expected resolver to return undefined (action not handled)';
+  }
+
+  if (expect.error !== undefined) {
+    const code = extractErrorCode(ctx.error);
+    if (code !== expect.error) {
+      return `Expected error code ${expect.error}, got ${code === null ? 'no error' : code}`;
+    }
+    return null;
+  }
+
+  if (expect.output !== undefined) {
+    if (ctx.error != null) {
+      return `Expected output, got error ${extractErrorCode(ctx.error) || String(ctx.error)}`;
+    }
+    const output = ctx.output && typeof ctx.output === 'object' ? ctx.output : {};
+    const mismatched = Object.keys(expect.output).filter(
+      key => JSON.stringify(output[key]) !== JSON.stringify(expect.output[key])
+    );
+    if (mismatched.length > 0) {
+      return `Output fields did not match expectation: ${mismatched
+        .map(key => `${key} (expected ${JSON.stringify(expect.output[key])}, got ${JSON.stringify(output[key])})`)
+        .join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+// ----------------------
+// Fixture loading
+// ----------------------
+// An override may be an array of fixtures, { inputs: [...] } or one fixture
+function normalizeFixtureOverride(override) {
+  if (Array.isArray(override)) return override;
+  if (Array.isArray(override?.inputs)) return override.inputs;
+  return [override];
+}
+
+// Fixture overrides, in order of precedence: the `fixtures` map (config
+// file), then <fixturesDir>/<suite>.json, then the suite's own fixtures.
+function loadSuiteFixtures(suite, testSpec, { fixtures: overrides = {}, fixturesDir } = {}) {
+  if (overrides[suite] !== undefined) {
+    return normalizeFixtureOverride(overrides[suite]);
+  }
+
+  const localFixturePath = path.join(fixturesDir || path.join(process.cwd(), 'test-fixtures'), `${suite}.json`);
+  if (fs.existsSync(localFixturePath)) {
+    return normalizeFixtureOverride(JSON.parse(fs.readFileSync(localFixturePath, 'utf8')));
+  }
+
+  return testSpec.fixtures?.inputs || [];
+}
+
+function fixtureLabel(fixture, index) {
+  return fixture?.name || `fixture #${index + 1}`;
+}
+
+// ----------------------
+// Single fixture executor
+// ----------------------
+// Adds a fixture-level check (expectation, golden) to an assertion result;
+// error is the failure message, or null when the check passed
+function withFixtureCheck(result, { id, severity = 'fatal', error }) {
+  const failure = { id, severity, message: error || '' };
+  const assertions = [...result.assertions, { ...failure, status: error ? 'fail' : 'pass', duration_ms: 0 }];
+  if (!error) return { ...result, assertions };
+
+  const failures = [...result.failures, failure];
+  const ok = !failures.some(f => f.severity === 'fatal');
+  return { ...result, ok, warned: ok, message: formatFailures(failures), failures, assertions };
+}
+
+// --record writes the fixture's result as a golden; a fixture carrying a
+// golden (--replay, or a fixture override) is compared against it
+function applyGolden(result, { suite, label, fixture, runtimeContext, resolverMeta, golden }) {
+  if (golden.mode === 'record') {
+    const recorded = recordGolden({
+      dir: golden.dir,
+      suite,
+      label,
+      input: runtimeContext.input,
+      result: runtimeContext.result,
+      resolverMeta
+    });
+    return { ...result, recorded };
+  }
+
+  if (fixture?.golden) {
+    const differences = compareGolden(fixture.golden, runtimeContext.result, [
+      ...(golden.ignore || []),
+      ...(fixture.ignore || [])
+    ]);
+    return withFixtureCheck(result, {
+      id: 'golden_match',
+      error: differences.length > 0 ? goldenMismatchMessage(differences) : null
+    });
+  }
+
+  if (golden.mode === 'replay') {
+    return withFixtureCheck(result, {
+      id: 'golden_match',
+      severity: 'warning',
+      error: 'No golden recorded for this fixture; run with --record first'
+    });
+  }
+  return result;
+}
+
+function goldenMismatchMessage(differences) {
+  const show = v => (v === undefined ? '(missing)' : JSON.stringify(v));
+  return `
+🔍 What happened?
+The result differs from the recorded golden:
+${differences.map(d => `- ${d.path}: ${show(d.expected)} → ${show(d.actual)}`).join('\n')}
+
+💡 How to fix:
+- If the change is intended, record new goldens with --record
+- Ignore volatile fields with --golden-ignore <path> or the golden file's "ignore" list
+
+📘 Learn more: https://o-lang.org/docs/conformance/golden-files      
+  `.trim();
+}
+
+async function runFixture({ suite, label, suiteDir, testSpec: suiteSpec, fixture, resolver, resolverMeta, resolverContract, strict, timeoutMs, seed, determinismRuns, traceNondeterminism, golden = {} }) {
+  // A fixture may restrict which of the suite's assertions apply to it
+  const testSpec = Array.isArray(fixture?.assertions)
+    ? { ...suiteSpec, assertions: (suiteSpec.assertions || []).filter(a => fixture.assertions.includes(a.id)) }
+    : suiteSpec;
+
+  if (resolverContract) {
+    const contractPath = path.join(suiteDir, resolverContract);
+    if (!fs.existsSync(contractPath)) {
+      return suiteError('resolver_contract', `Resolver contract missing: ${contractPath}`);
+    }
+
+    let target;
+    try {
+      target = require(contractPath);
+    } catch (err) {
+      return suiteError('resolver_contract', `Failed to load resolver contract: ${err.message}`);
+    }
+
+    return runAssertions(testSpec, target, { strict });
+  }
+
+  // Metadata suites check the declaration of the resolver under test
+  if (testSpec.category === "resolver") {
+    return runAssertions(testSpec, resolverMeta, { resolverMeta, strict });
+  }
+
+  // Kernel suites: `resolver` is the O-Lang kernel itself (see run-kernel.js)
+  if (testSpec.category === "kernel") {
+    try {
+      const kernelContext = await runKernelFixture(resolver, suiteDir, fixture, { timeoutMs });
+      return await runAssertions(testSpec, kernelContext, { strict });
     } catch (err) {
-      ctx.threw = true;
-      ctx.error = err;
-      if (err.code) {
-        const decl = resolverMeta.failures?.find(f => f.code === err.code);
-        if (decl) ctx.retryCount = decl.retries;
+      if (err instanceof ResolverTimeoutError) {
+        return suiteError('invocation_timeout', `⏱️  ${err.message}`, "timeout");
       }
-      break;
+      return suiteError('kernel_crash', `🔥 Kernel test crashed: ${err.message}`);
     }
   }
 
-  return ctx;
+  if (testSpec.category === "resolver-runtime") {
+    try {
+      const runtimeContext = await invokeResolverWithObservation(resolver, resolverMeta, testSpec, fixture, {
+        timeoutMs,
+        seed,
+        determinismRuns,
+        traceNondeterminism
+      });
+
+      // Fixtures expecting an error or "not my action" describe a non-output
+      // path, so the expectation alone decides them.
+      const expect = fixture?.expect;
+      const result = expect && (expect.error !== undefined || expect.undefined === true)
+        ? { ok: true, message: "Fixture expectation only", failures: [], assertions: [] }
+        : await runAssertions(testSpec, runtimeContext, { resolverMeta, strict });
+
+      const checked = expect
+        ? withFixtureCheck(result, { id: 'fixture_expectation', error: checkFixtureExpectation(runtimeContext, expect) })
+        : result;
+      return applyGolden(checked, { suite, label, fixture, runtimeContext, resolverMeta, golden });
+    } catch (err) {
+      if (err instanceof ResolverTimeoutError) {
+        return suiteError('invocation_timeout', `⏱️  ${err.message}`, "timeout");
+      }
+      if (err instanceof ResolverCrashError) {
+        return suiteError('resolver_crashed', `💥 ${err.message}`);
+      }
+      return suiteError('runtime_crash', `🔥 Runtime test crashed: ${err.message}`);
+    }
+  }
+
+  return suiteError('unrecognized_fixture', "Unrecognized fixture");
 }
 
 // ----------------------
 // Test suite executor with enhanced output
 // ----------------------
-async function runAllTests({ suites, resolver }) {
+// Progress events passed to onEvent:
+//   { type: "notice", message }
+//   { type: "suite:start", suite }
+//   { type: "assertion", suite, fixture, assertion }   fixture is null unless the suite runs several
+//   { type: "suite:end", suite, result, fixtures }     result is the entry added to suites[]
+// Without onEvent, progress is printed to the console (lib/progress.js).
+//
+// resolverContracts maps a suite id to a module in its suite directory that
+// stands in for the resolver (run-kernel.js self-tests R-005 this way). It is
+// deliberately not a fixture field: fixture overrides come from the user's
+// config and test-fixtures/, and must not swap out the resolver under test.
+async function runAllTests({
+  suites,
+  resolver,
+  strict = false,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  seed = randomSeed(),
+  fixtures: fixtureOverrides = {},
+  fixturesDir,
+  resolverContracts = {},
+  determinismRuns = DEFAULT_DETERMINISM_RUNS,
+  traceNondeterminism = false,
+  golden = {},
+  onEvent = printProgress
+}) {
   let failed = 0;
+  let warned = 0;
   const PACKAGE_ROOT = path.join(__dirname, '..');
   const resolverMeta = resolver.resolverDeclaration || resolver;
 
   // Pre-check: warn about common issues
   const resolverName = resolverMeta.resolverName || 'unknown';
   if (resolverName.includes('bank') && !fs.existsSync(path.join(process.cwd(), 'test', 'bank.db'))) {
-    console.warn("\n⚠️  Warning: test/bank.db not found. Create it with:");
-    console.warn("   node scripts/create-test-db.mjs\n");
+    onEvent({
+      type: "notice",
+      message: "test/bank.db not found. Create it with:\n   node scripts/create-test-db.mjs",
+    });
   }
 
-  for (const suite of suites) {
-    const suiteDir = path.join(PACKAGE_ROOT, suite);
+  const results = [];
+  const recorded = []; // golden files written by --record
+
+  for (const entry of suites) {
+    // Discovered suites carry their own directory; plain names resolve
+    // against the package root
+    const { id: suite, dir: suiteDir } = typeof entry === "string"
+      ? { id: path.basename(entry), dir: path.resolve(PACKAGE_ROOT, entry) }
+      : entry;
     const testSpecPath = path.join(suiteDir, "test.json");
+    const startedAt = Date.now();
+    onEvent({ type: "suite:start", suite });
 
-    if (!fs.existsSync(testSpecPath)) {
-      console.error(`❌ Test spec not found: ${testSpecPath}`);
+    const suiteFailure = (message) => {
       failed++;
+      const result = {
+        suite,
+        status: "fail",
+        duration_ms: Date.now() - startedAt,
+        assertions: [],
+        failures: [message],
+      };
+      results.push(result);
+      onEvent({ type: "suite:end", suite, result, fixtures: [] });
+    };
+
+    if (!fs.existsSync(testSpecPath)) {
+      suiteFailure(`Test spec not found: ${testSpecPath}`);
       continue;
     }
 
-    const testSpec = JSON.parse(fs.readFileSync(testSpecPath, "utf8"));
-    let fixture = testSpec.fixtures.inputs[0];
+    const { spec: testSpec, errors: specErrors } = loadSuiteSpec(suiteDir, {
+      knownAssertionTypes: knownAssertionTypes()
+    });
+    if (specErrors.length > 0) {
+      suiteFailure(`Invalid test spec:\n  ${specErrors.join('\n  ')}`);
+      continue;
+    }
 
-    // ✅ Allow local override (optional but useful)
-    const localFixturePath = path.join(process.cwd(), 'test-fixtures', `${suite}.json`);
-    if (fs.existsSync(localFixturePath)) {
-      fixture = JSON.parse(fs.readFileSync(localFixturePath, 'utf8'));
+    let fixtures = loadSuiteFixtures(suite, testSpec, { fixtures: fixtureOverrides, fixturesDir });
+    if (golden.mode === 'replay' && testSpec.category === 'resolver-runtime') {
+      fixtures = withGoldenFixtures(fixtures, loadGoldens(golden.dir, suite), fixtureLabel);
     }
 
-    if (fixture.resolver_contract) {
-      const contractPath = path.join(suiteDir, fixture.resolver_contract);
-      if (!fs.existsSync(contractPath)) {
-        console.error(`❌ Resolver contract missing: ${contractPath}`);
-        failed++;
-        continue;
-      }
+    if (fixtures.length === 0) {
+      suiteFailure(`No fixtures defined in ${suite}`);
+      continue;
+    }
 
-      let target;
-      try {
-        target = require(contractPath);
-      } catch (err) {
-        console.error(`❌ Failed to load resolver contract ${suite}:`, err.message);
-        failed++;
-        continue;
+    const matrix = fixtures.length > 1;
+    const fixtureResults = [];
+    for (let i = 0; i < fixtures.length; i++) {
+      const label = fixtureLabel(fixtures[i], i);
+      const result = await runFixture({
+        suite,
+        label,
+        suiteDir,
+        testSpec,
+        fixture: fixtures[i],
+        resolver,
+        resolverMeta,
+        resolverContract: resolverContracts[suite],
+        strict,
+        seed,
+        determinismRuns,
+        traceNondeterminism,
+        golden,
+        // A suite's own timeout_ms takes precedence over the global one
+        timeoutMs: testSpec.timeout_ms || timeoutMs
+      });
+      fixtureResults.push({ label, ...result });
+      if (result.recorded) recorded.push(result.recorded);
+      for (const assertion of result.assertions) {
+        onEvent({ type: "assertion", suite, fixture: matrix ? label : null, assertion });
       }
+    }
 
-      const result = await runAssertions(testSpec, target);
-      if (!result.ok) {
-        console.error(`\n❌ ${suite} failed:\n`);
-        console.error(result.message);
-        console.error('\n' + '='.repeat(60) + '\n');
-        failed++;
-      } else {
-        console.log(`✅ ${suite} passed`);
-      }
-    } else if (testSpec.category === "resolver-runtime") {
-      try {
-        const runtimeContext = await invokeResolverWithObservation(resolver, resolverMeta, testSpec, fixture);
-        const result = await runAssertions(testSpec, runtimeContext, { resolverMeta });
-
-        if (!result.ok) {
-          console.error(`\n❌ ${suite} failed:\n`);
-          console.error(result.message);
-          console.error('\n' + '='.repeat(60) + '\n');
-          failed++;
-        } else {
-          console.log(`✅ ${suite} passed`);
-        }
-      } catch (err) {
-        console.error(`🔥 Runtime test ${suite} crashed:`, err.message);
-        failed++;
-      }
-    } else {
-      console.error(`❌ Unrecognized fixture in ${suite}`);
+    const suitePassed = fixtureResults.every(r => r.ok);
+    const suiteWarned = suitePassed && fixtureResults.some(r => r.warned);
+    const suiteTimedOut = fixtureResults.some(r => r.timedOut);
+    if (!suitePassed || suiteTimedOut) {
       failed++;
+    } else if (suiteWarned) {
+      warned++;
     }
+
+    const result = {
+      suite,
+      protocol_version: testSpec.protocol_version,
+      status: suiteTimedOut ? "timeout" : !suitePassed ? "fail" : suiteWarned ? "warn" : "pass",
+      duration_ms: Date.now() - startedAt,
+      assertions: fixtureResults.flatMap(r =>
+        r.assertions.map(a => (matrix ? { fixture: r.label, ...a } : a))
+      ),
+      failures: fixtureResults.flatMap(r =>
+        r.failures.map(f => `${matrix ? `${r.label} › ` : ''}${f.id}: ${f.message}`)
+      ),
+    };
+    results.push(result);
+    onEvent({
+      type: "suite:end",
+      suite,
+      result,
+      fixtures: fixtureResults.map(({ label, ok, warned, timedOut, message }) =>
+        ({ label, ok, warned: !!warned, timedOut: !!timedOut, message })
+      ),
+    });
   }
 
-  return { failed };
+  return {
+    failed,
+    warned,
+    status: failed > 0 ? "fail" : warned > 0 ? "warn" : "pass",
+    strict,
+    seed,
+    goldens: golden.mode ? { mode: golden.mode, dir: golden.dir, recorded } : null,
+    suites: results,
+  };
+}
+
+function knownAssertionTypes() {
+  return [...Object.keys(assertionHandlers), ...customAssertions.keys()];
 }
 
 module.exports = {
+  SEMVER_PATTERN,
   runAssertions,
   runAllTests,
+  knownAssertionTypes,
+  registerAssertion,
+  unregisterAssertion,
 };
\ No newline at end of file
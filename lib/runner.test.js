@@ -0,0 +1,158 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { makeRiskResolver, runSuite, assertionResult } = require("./testing");
+
+test("R-012 sees global state changed inside the action handler", async () => {
+  const resolver = makeRiskResolver({
+    lookup: () => {
+      globalThis.__r012_leak = 1;
+      process.env.__R012_LEAKED = "1";
+      return { risk_score: 0.3 };
+    },
+  });
+  try {
+    const result = await runSuite("R-012-resolver-side-effects", resolver);
+    assert.equal(result.suites[0].status, "warn");
+    assert.match(assertionResult(result, "no_global_mutation").message, /__r012_leak/);
+    assert.match(assertionResult(result, "no_global_mutation").message, /__R012_LEAKED/);
+  } finally {
+    delete globalThis.__r012_leak;
+    delete process.env.__R012_LEAKED;
+  }
+});
+
+test("R-012 passes a resolver that keeps its state local", async () => {
+  const result = await runSuite("R-012-resolver-side-effects", makeRiskResolver());
+  assert.equal(result.suites[0].status, "pass");
+});
+
+test("R-010 runs the example action and a foreign action", async () => {
+  const result = await runSuite("R-010-resolver-output-contract", makeRiskResolver());
+  assert.equal(result.suites[0].status, "pass");
+  const fixtures = new Set(result.suites[0].assertions.map(a => a.fixture));
+  assert.deepEqual([...fixtures], ["example action", "foreign action"]);
+});
+
+test("R-010 fails a resolver that answers actions meant for another resolver", async () => {
+  const greedy = async () => ({ output: { risk_score: 0.3 } });
+  greedy.resolverDeclaration = makeRiskResolver().resolverDeclaration;
+  const result = await runSuite("R-010-resolver-output-contract", greedy);
+  assert.equal(result.suites[0].status, "fail");
+  const failed = result.suites[0].assertions.filter(a => a.status === "fail");
+  assert.deepEqual(failed.map(a => [a.fixture, a.id]), [["foreign action", "fixture_expectation"]]);
+});
+
+// Retries every dependency call once, whatever the error
+async function callWithOneRetry(context) {
+  try {
+    return await context.callTool("risk-db", {});
+  } catch {
+    return context.callTool("risk-db", {});
+  }
+}
+
+test("R-009 does not inject validation codes as dependency failures", async () => {
+  const resolver = makeRiskResolver({
+    declaration: {
+      failures: [
+        { code: "MISSING_PARAMETER", retries: 0 },
+        { code: "INVALID_INPUT", retries: 0 },
+        { code: "UNRESOLVED_VARIABLES", retries: 0 },
+        { code: "DATA_UNAVAILABLE", retries: 1 },
+      ],
+    },
+  });
+  const inner = resolver;
+  const withDependency = async (action, context) => {
+    const result = await inner(action, context);
+    if (!result?.output) return result;
+    try {
+      await callWithOneRetry(context);
+    } catch (err) {
+      return { error: err.code || "DATA_UNAVAILABLE" };
+    }
+    return result;
+  };
+  withDependency.resolverDeclaration = resolver.resolverDeclaration;
+
+  const result = await runSuite("R-009-resolver-retry-semantics", withDependency);
+  assert.equal(result.suites[0].status, "pass", result.suites[0].failures.join("\n"));
+});
+
+test("R-009 fails a resolver that retries on invalid input", async () => {
+  const resolver = async (action, context) => {
+    if (typeof action !== "string" || !action.startsWith("Action risk")) return undefined;
+    // Asks a remote validator, and asks again when it says no
+    await context.callTool("validator", { action });
+    if (!/transaction_id=\d+(\s|$)/.test(action)) {
+      await context.callTool("validator", { action });
+      return { error: "INVALID_INPUT" };
+    }
+    return { output: { risk_score: 0.3 } };
+  };
+  resolver.resolverDeclaration = makeRiskResolver().resolverDeclaration;
+
+  const result = await runSuite("R-009-resolver-retry-semantics", resolver);
+  assert.equal(result.suites[0].status, "fail");
+  assert.match(result.suites[0].failures[0], /INVALID_INPUT: declared retries 0, observed 1 \(on invalid input/);
+});
+
+test("a fixture override cannot swap a contract in for the resolver under test", async () => {
+  const resolver = makeRiskResolver({ declaration: { version: "not-semver" } });
+  const result = await runSuite("R-005-resolver-metadata-contract", resolver, {
+    fixtures: { "R-005-resolver-metadata-contract": { resolver_contract: "resolver.js" } },
+  });
+  assert.equal(result.status, "fail");
+});
+
+test("resolverContracts stands a bundled contract in for the resolver", async () => {
+  const result = await runSuite("R-005-resolver-metadata-contract", { resolverName: "kernel" }, {
+    resolverContracts: { "R-005-resolver-metadata-contract": "resolver.js" },
+  });
+  assert.equal(result.status, "pass", JSON.stringify(result.suites[0].failures));
+});
+
+test("a failed warning assertion passes with warnings, and --strict makes it fatal", async () => {
+  const resolver = makeRiskResolver({ output: { risk_score: 0.3, debug: true } });
+
+  const lenient = await runSuite("R-010-resolver-output-contract", resolver);
+  assert.equal(lenient.status, "warn");
+  assert.equal(lenient.failed, 0);
+  assert.equal(lenient.warned, 1);
+  assert.equal(lenient.suites[0].status, "warn");
+  assert.equal(assertionResult(lenient, "output_has_no_undeclared_fields").severity, "warning");
+
+  const strict = await runSuite("R-010-resolver-output-contract", resolver, { strict: true });
+  assert.equal(strict.status, "fail");
+  assert.equal(strict.strict, true);
+  assert.equal(assertionResult(strict, "output_has_no_undeclared_fields").severity, "fatal");
+});
+
+test("a failed fatal assertion fails the suite", async () => {
+  const result = await runSuite("R-010-resolver-output-contract", makeRiskResolver({ output: {} }));
+  assert.equal(result.status, "fail");
+  assert.equal(result.suites[0].status, "fail");
+  assert.equal(assertionResult(result, "output_fields_match_contract").status, "fail");
+});
+
+test("R-005 checks the declaration of the resolver under test", async () => {
+  const failedIds = async declaration => {
+    const result = await runSuite("R-005-resolver-metadata-contract", makeRiskResolver({ declaration }));
+    return result.suites[0].assertions.filter(a => a.status === "fail").map(a => a.id);
+  };
+
+  assert.deepStrictEqual(await failedIds({}), []);
+  assert.deepStrictEqual(await failedIds({ version: "1.0" }), ["resolver_version_semver"]);
+  assert.deepStrictEqual(await failedIds({ exampleAction: undefined }), ["resolver_example_action_valid"]);
+  assert.deepStrictEqual(
+    await failedIds({ inputs: [{ name: "id", type: "string" }, { name: "id", type: "string" }] }),
+    ["resolver_inputs_valid", "resolver_input_names_unique"]
+  );
+});
+
+test("R-005 only warns about an unknown field type", async () => {
+  const resolver = makeRiskResolver({ declaration: { outputs: [{ name: "risk_score", type: "decimal" }] } });
+  const result = await runSuite("R-005-resolver-metadata-contract", resolver);
+  assert.equal(result.status, "warn");
+  assert.equal(assertionResult(result, "resolver_types_known").status, "fail");
+});
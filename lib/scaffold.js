@@ -0,0 +1,362 @@
+const path = require("path");
+const fs = require("fs");
+const readline = require("readline/promises");
+// R-005's own check, so a scaffolded version always passes it
+const { SEMVER_PATTERN } = require("./runner");
+
+// ----------------------
+// Resolver scaffolding (olang-resolver-test init)
+// ----------------------
+// Generates a resolver that passes every resolver suite as written:
+//
+//   index.js                 resolverDeclaration, input validation with
+//                            structured { error } returns, the
+//                            UNRESOLVED_VARIABLES guard and a lookup() stub
+//   test-fixtures/R-010-...  expectations for the example action, a foreign
+//                            action, a missing input and an unresolved variable
+//   olang-tester.config.js   points the harness at the two above
+//   package.json             only when the directory has none
+//
+// Actions are textual ("Action <name> key=value"), so inputs are limited to
+// types a token can carry.
+
+const INPUT_TYPES = ["string", "number", "integer", "boolean"];
+const OUTPUT_TYPES = ["string", "number", "integer", "boolean", "object", "array"];
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const FIELD_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+const CODE_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+// Codes the generated validation itself returns
+const VALIDATION_FAILURES = [
+  { code: "MISSING_PARAMETER", retries: 0 },
+  { code: "INVALID_INPUT", retries: 0 },
+  { code: "UNRESOLVED_VARIABLES", retries: 0 },
+];
+
+const OUTPUT_FIXTURE = "R-010-resolver-output-contract";
+
+const EXAMPLE_VALUES = { string: "example", number: 42, integer: 42, boolean: true };
+const STUB_VALUES = { string: "", number: 0, integer: 0, boolean: false, object: {}, array: [] };
+
+function scaffoldDefaults(dir) {
+  const name = path.basename(path.resolve(dir)).toLowerCase().replace(/[^a-z0-9-]+/g, "-").replace(/^[^a-z]+|-+$/g, "");
+  return {
+    name: name || "my-resolver",
+    version: "0.1.0",
+    inputs: [{ name: "id", type: "string", required: true }],
+    outputs: [{ name: "status", type: "string" }],
+    failures: [{ code: "DATA_UNAVAILABLE", retries: 1 }],
+  };
+}
+
+// "customer_id:integer" → { name, type, required: true }; a trailing "?"
+// ("note:string?") makes an input optional. The type defaults to string.
+function parseFieldSpec(spec, { types = INPUT_TYPES } = {}) {
+  const match = /^([^:?]+)(?::([a-z]+))?(\?)?$/.exec(String(spec).trim());
+  if (!match || !FIELD_PATTERN.test(match[1])) {
+    throw new Error(`Invalid field "${spec}": expected name[:type], e.g. customer_id:integer`);
+  }
+  const type = match[2] || "string";
+  if (!types.includes(type)) {
+    throw new Error(`Invalid field "${spec}": type must be one of ${types.join(", ")}`);
+  }
+  return { name: match[1], type, required: !match[3] };
+}
+
+// "DATA_UNAVAILABLE:1" → { code, retries }; retries default to 0
+function parseFailureSpec(spec) {
+  const [code, retries = "0", ...rest] = String(spec).trim().split(":");
+  if (!CODE_PATTERN.test(code) || !/^\d+$/.test(retries) || rest.length > 0) {
+    throw new Error(`Invalid failure "${spec}": expected CODE[:retries], e.g. DATA_UNAVAILABLE:1`);
+  }
+  return { code, retries: Number(retries) };
+}
+
+function validateScaffold(spec) {
+  const problems = [];
+  if (!NAME_PATTERN.test(spec.name)) problems.push(`name "${spec.name}" must be lowercase letters, digits and dashes`);
+  if (!SEMVER_PATTERN.test(spec.version)) problems.push(`version "${spec.version}" is not semver`);
+  if (spec.outputs.length === 0) problems.push("at least one output is required");
+  for (const field of ["inputs", "outputs"]) {
+    const names = spec[field].map(f => f.name);
+    const duplicates = names.filter((n, i) => names.indexOf(n) !== i);
+    if (duplicates.length > 0) problems.push(`duplicate ${field}: ${[...new Set(duplicates)].join(", ")}`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Cannot scaffold resolver:\n  ${problems.join("\n  ")}`);
+  }
+}
+
+// ----------------------
+// Rendering
+// ----------------------
+function exampleAction(spec) {
+  return [`Action ${spec.name}`, ...spec.inputs
+    .filter(i => i.required)
+    .map(i => `${i.name}=${EXAMPLE_VALUES[i.type]}`)].join(" ");
+}
+
+function stubOutput(spec) {
+  return Object.fromEntries(spec.outputs.map(o => [o.name, STUB_VALUES[o.type]]));
+}
+
+// { name: "id", type: "string" } → '{ name: "id", type: "string" }'
+function inlineObject(object) {
+  return `{ ${Object.entries(object).map(([k, v]) => `${k}: ${JSON.stringify(v)}`).join(", ")} }`;
+}
+
+function list(items, indent) {
+  return items.map(item => `${indent}${inlineObject(item)},`).join("\n");
+}
+
+function renderResolver(spec) {
+  const failures = [...VALIDATION_FAILURES, ...spec.failures.filter(f => !VALIDATION_FAILURES.some(v => v.code === f.code))];
+  const dependencyFailure = spec.failures.find(f => !VALIDATION_FAILURES.some(v => v.code === f.code));
+  const onDependencyError = dependencyFailure
+    ? `    // Declared codes pass through; anything else is a dependency failure
+    const code = DECLARED_CODES.includes(err?.code) ? err.code : ${JSON.stringify(dependencyFailure.code)};
+    return fail(code, err?.message || String(err));`
+    : `    // Declared codes surface as { error }; anything else is a bug
+    if (DECLARED_CODES.includes(err?.code)) return fail(err.code, err.message);
+    throw err;`;
+
+  return `// ${spec.name} — O-Lang resolver generated by \`olang-resolver-test init\`.
+// Replace lookup() with the real work. Everything around it (the
+// declaration, input validation, structured errors) is what the conformance
+// suites check; run \`npx olang-resolver-test\` after each change.
+
+const ACTION = ${JSON.stringify(`Action ${spec.name}`)};
+const MAX_VALUE_LENGTH = 1024;
+
+const TYPE_PATTERNS = {
+  string: /^[\\s\\S]*$/,
+  number: /^-?\\d+(\\.\\d+)?$/,
+  integer: /^-?\\d+$/,
+  boolean: /^(true|false)$/,
+};
+
+function fail(code, message) {
+  return { error: JSON.stringify({ code, message }) };
+}
+
+function isOwnAction(action) {
+  return action === ACTION || action.startsWith(\`\${ACTION} \`);
+}
+
+// "Action x a=1 b=\\"two words\\"" → { a: "1", b: "two words" }
+function parseAction(action) {
+  const params = {};
+  for (const [, key, raw] of action.slice(ACTION.length).matchAll(/(\\S+?)=("[^"]*"|\\S*)/g)) {
+    params[key] = raw.startsWith('"') ? raw.slice(1, -1) : raw;
+  }
+  return params;
+}
+
+// Typed input values, or the { error } to return
+function readInputs(params) {
+  const declared = resolver.resolverDeclaration.inputs;
+  const unknown = Object.keys(params).find(key => !declared.some(i => i.name === key));
+  if (unknown) return { error: fail("INVALID_INPUT", \`Unknown input: \${unknown}\`) };
+
+  const values = {};
+  for (const input of declared) {
+    const raw = params[input.name];
+    if (raw === undefined || raw === "") {
+      if (input.required) return { error: fail("MISSING_PARAMETER", \`Missing required input: \${input.name}\`) };
+      continue;
+    }
+    if (raw.length > MAX_VALUE_LENGTH || !TYPE_PATTERNS[input.type].test(raw)) {
+      return { error: fail("INVALID_INPUT", \`\${input.name} must be a \${input.type}\`) };
+    }
+    values[input.name] = input.type === "string" ? raw : JSON.parse(raw);
+  }
+  return { values };
+}
+
+// TODO: do the real work here. Reach dependencies only through the kernel
+// context (context.callTool(name, args) or fetch) and pass on the values in
+// \`inputs\` unchanged; a thrown error with a declared .code is returned as
+// that code.
+async function lookup(inputs, context) {
+  return ${inlineObject(stubOutput(spec))};
+}
+
+async function resolver(action, context = {}) {
+  if (action == null || (typeof action === "string" && !action.trim())) {
+    return fail("MISSING_PARAMETER", "Empty action");
+  }
+  // Not my action: let the kernel try the next resolver
+  if (typeof action !== "string" || !isOwnAction(action)) return undefined;
+
+  // The kernel resolves every {variable} first; a leftover one is never guessed
+  if (/\\{[^}]*\\}/.test(action)) {
+    return fail("UNRESOLVED_VARIABLES", "Action contains unresolved variables");
+  }
+
+  const { values, error } = readInputs(parseAction(action));
+  if (error) return error;
+
+  try {
+    return { output: await lookup(values, context) };
+  } catch (err) {
+${onDependencyError}
+  }
+}
+
+resolver.resolverDeclaration = {
+  resolverName: ${JSON.stringify(spec.name)},
+  version: ${JSON.stringify(spec.version)},
+  exampleAction: ${JSON.stringify(exampleAction(spec))},
+  inputs: [
+${list(spec.inputs, "    ")}
+  ],
+  outputs: [
+${list(spec.outputs, "    ")}
+  ],
+  failures: [
+${list(failures, "    ")}
+  ],
+};
+
+const DECLARED_CODES = resolver.resolverDeclaration.failures.map(f => f.code);
+
+module.exports = resolver;
+`;
+}
+
+function renderFixtures(spec) {
+  const fixtures = [
+    { name: "example action", invoke: "__USE_RESOLVER_EXAMPLE_ACTION__", expect: { output: stubOutput(spec) } },
+    { name: "foreign action", invoke: "Action some-other-resolver id=1", expect: { undefined: true } },
+  ];
+  const required = spec.inputs.find(i => i.required);
+  if (required) {
+    fixtures.push({
+      name: `missing ${required.name}`,
+      invoke: exampleAction(spec).replace(` ${required.name}=${EXAMPLE_VALUES[required.type]}`, ""),
+      expect: { error: "MISSING_PARAMETER" },
+    });
+  }
+  if (spec.inputs.length > 0) {
+    const input = spec.inputs[0];
+    fixtures.push({
+      name: "unresolved variable",
+      invoke: `${exampleAction(spec).replace(new RegExp(` ${input.name}=\\S+`), "")} ${input.name}={${input.name}}`,
+      expect: { error: "UNRESOLVED_VARIABLES" },
+    });
+  }
+  return JSON.stringify(fixtures, null, 2) + "\n";
+}
+
+function renderConfig() {
+  return `// Picked up by olang-resolver-test; see its README for every option
+module.exports = {
+  resolver: "./index.js",
+  fixturesDir: "./test-fixtures",
+};
+`;
+}
+
+function renderPackage(spec) {
+  return JSON.stringify({
+    name: spec.name,
+    version: spec.version,
+    main: "index.js",
+    scripts: { test: "olang-resolver-test" },
+    devDependencies: { "@o-lang/js-olang-tester": `^${require("../package.json").version}` },
+  }, null, 2) + "\n";
+}
+
+// Files to write, relative to the target directory. optional files are only
+// written when absent.
+function buildScaffold(spec) {
+  validateScaffold(spec);
+  return [
+    { path: "index.js", content: renderResolver(spec) },
+    { path: path.join("test-fixtures", `${OUTPUT_FIXTURE}.json`), content: renderFixtures(spec) },
+    { path: "olang-tester.config.js", content: renderConfig() },
+    { path: "package.json", content: renderPackage(spec), optional: true },
+  ];
+}
+
+// Returns { written, skipped } (paths relative to dir). Existing files are
+// never overwritten unless force is set.
+function writeScaffold(dir, files, { force = false } = {}) {
+  const existing = files.filter(f => !f.optional && fs.existsSync(path.join(dir, f.path)));
+  if (existing.length > 0 && !force) {
+    throw new Error(`Refusing to overwrite ${existing.map(f => f.path).join(", ")} (use --force)`);
+  }
+
+  const written = [];
+  const skipped = [];
+  for (const file of files) {
+    const target = path.join(dir, file.path);
+    if (file.optional && fs.existsSync(target)) {
+      skipped.push(file.path);
+      continue;
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, file.content);
+    written.push(file.path);
+  }
+  return { written, skipped };
+}
+
+// ----------------------
+// Interactive prompts
+// ----------------------
+// Each answer defaults to what was given on the command line, or the
+// built-in default; an empty answer keeps it.
+function describeFields(fields) {
+  return fields.map(f => `${f.name}:${f.type}${f.required === false ? "?" : ""}`).join(", ");
+}
+
+async function ask(rl, question, fallback, parse) {
+  for (;;) {
+    const answer = (await rl.question(`${question} (${fallback}): `)).trim();
+    try {
+      return parse(answer || fallback);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+    }
+  }
+}
+
+function splitList(text) {
+  return text.split(",").map(s => s.trim()).filter(Boolean);
+}
+
+async function promptScaffold(spec, { input = process.stdin, output = process.stdout } = {}) {
+  const rl = readline.createInterface({ input, output });
+  try {
+    const name = await ask(rl, "Resolver name", spec.name, answer => {
+      if (!NAME_PATTERN.test(answer)) throw new Error("Use lowercase letters, digits and dashes");
+      return answer;
+    });
+    const version = await ask(rl, "Version", spec.version, answer => {
+      if (!SEMVER_PATTERN.test(answer)) throw new Error("Use a semver version, e.g. 0.1.0");
+      return answer;
+    });
+    const inputs = await ask(rl, "Inputs, name[:type][?] separated by commas", describeFields(spec.inputs),
+      answer => splitList(answer).map(s => parseFieldSpec(s)));
+    const outputs = await ask(rl, "Outputs, name[:type] separated by commas", describeFields(spec.outputs),
+      answer => splitList(answer).map(s => parseFieldSpec(s, { types: OUTPUT_TYPES })).map(({ name, type }) => ({ name, type })));
+    const failures = await ask(rl, "Dependency failure codes, CODE[:retries] separated by commas",
+      spec.failures.map(f => `${f.code}:${f.retries}`).join(", ") || "none",
+      answer => (answer === "none" ? [] : splitList(answer).map(parseFailureSpec)));
+    return { name, version, inputs, outputs, failures };
+  } finally {
+    rl.close();
+  }
+}
+
+module.exports = {
+  INPUT_TYPES,
+  OUTPUT_TYPES,
+  scaffoldDefaults,
+  parseFieldSpec,
+  parseFailureSpec,
+  buildScaffold,
+  writeScaffold,
+  promptScaffold,
+};
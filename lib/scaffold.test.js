@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { PassThrough } = require("node:stream");
+const {
+  scaffoldDefaults,
+  parseFieldSpec,
+  parseFailureSpec,
+  buildScaffold,
+  writeScaffold,
+  promptScaffold,
+} = require("./scaffold");
+const { certify } = require("./certify");
+const { tempDir } = require("./testing");
+
+function spec(overrides = {}) {
+  return {
+    ...scaffoldDefaults("customer-risk"),
+    inputs: [parseFieldSpec("customer_id:integer"), parseFieldSpec("note:string?")],
+    outputs: [{ name: "risk_score", type: "number" }, { name: "flagged", type: "boolean" }],
+    ...overrides,
+  };
+}
+
+test("field and failure specs parse, and bad ones are rejected", () => {
+  assert.deepStrictEqual(parseFieldSpec("note:string?"), { name: "note", type: "string", required: false });
+  assert.deepStrictEqual(parseFieldSpec("id"), { name: "id", type: "string", required: true });
+  assert.throws(() => parseFieldSpec("items:array"), /type must be one of/);
+  assert.deepStrictEqual(parseFailureSpec("DATA_UNAVAILABLE:2"), { code: "DATA_UNAVAILABLE", retries: 2 });
+  assert.throws(() => parseFailureSpec("data_unavailable"), /expected CODE\[:retries\]/);
+});
+
+test("versions are checked with R-005's semver rule", () => {
+  for (const version of ["01.2.3", "1.2", "1.2.3-"]) {
+    assert.throws(() => buildScaffold(spec({ version })), /is not semver/, version);
+  }
+  for (const version of ["0.1.0", "1.2.3-rc.1", "1.2.3+build.5"]) {
+    assert.doesNotThrow(() => buildScaffold(spec({ version })), version);
+  }
+});
+
+test("the prompt re-asks until the version is semver", async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const answers = ["", "01.2.3", "1.0.0", "", "", ""];
+  // Answer each question as it is printed; lines sent early would be dropped
+  output.on("data", chunk => {
+    if (String(chunk).endsWith("): ")) input.write(`${answers.shift()}\n`);
+  });
+  const errors = [];
+  const error = console.error;
+  console.error = message => errors.push(message);
+  try {
+    const result = await promptScaffold(spec(), { input, output });
+    assert.equal(result.version, "1.0.0");
+  } finally {
+    console.error = error;
+  }
+  assert.match(errors.join("\n"), /Use a semver version/);
+});
+
+test("existing files are only overwritten with force", t => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, "package.json"), '{"name":"keep"}');
+  const files = buildScaffold(spec());
+
+  assert.deepStrictEqual(writeScaffold(dir, files).skipped, ["package.json"]);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, "package.json"), "utf8")).name, "keep");
+  assert.throws(() => writeScaffold(dir, files), /Refusing to overwrite index\.js/);
+  assert.doesNotThrow(() => writeScaffold(dir, files, { force: true }));
+});
+
+test("a scaffolded resolver passes every resolver suite", async t => {
+  const dir = tempDir(t);
+  writeScaffold(dir, buildScaffold(spec({ failures: [parseFailureSpec("DATA_UNAVAILABLE:1")] })));
+
+  const result = await certify({
+    resolver: path.join(dir, "index.js"),
+    options: { seed: 1, fixturesDir: path.join(dir, "test-fixtures") },
+  });
+  const failing = result.suites.filter(s => s.status === "fail" || s.status === "timeout");
+  assert.deepStrictEqual(failing.map(s => `${s.suite}: ${s.failures.join("; ")}`), []);
+  assert.equal(result.certified, true);
+});
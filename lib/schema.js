@@ -0,0 +1,129 @@
+const path = require("path");
+const fs = require("fs");
+
+// ----------------------
+// Minimal JSON Schema (draft-07 subset) validator
+// ----------------------
+// Covers the keywords used by the schemas shipped in schema/: type, enum,
+// const, required, properties, additionalProperties, items, minItems,
+// minLength, pattern, minimum, format (date-time), anyOf, oneOf and local
+// $ref. Returns a list of "<path>: <problem>" strings, empty when valid.
+
+const SCHEMA_DIR = path.join(__dirname, "..", "schema");
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) {
+    throw new Error(`Unsupported $ref: ${ref}`);
+  }
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => node && node[key], root);
+}
+
+function validateNode(schema, value, at, root, errors) {
+  if (schema.$ref) {
+    validateNode(resolveRef(root, schema.$ref), value, at, root, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${at}: expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(e => e === value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(e => JSON.stringify(e)).join(", ")}`);
+  }
+
+  if ("const" in schema && schema.const !== value) {
+    errors.push(`${at}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must be at least ${schema.minLength} character(s)`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: must match ${schema.pattern}`);
+    }
+    if (schema.format === "date-time" && Number.isNaN(Date.parse(value))) {
+      errors.push(`${at}: must be an ISO date-time`);
+    }
+  }
+
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: must be >= ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(schema.items, item, `${at}[${i}]`, root, errors));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (key in properties) {
+        validateNode(properties[key], child, `${at}.${key}`, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === "object") {
+        validateNode(schema.additionalProperties, child, `${at}.${key}`, root, errors);
+      }
+    }
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const matching = options.filter(option => {
+      const sub = [];
+      validateNode(option, value, at, root, sub);
+      return sub.length === 0;
+    }).length;
+    if (schema.anyOf && matching === 0) {
+      errors.push(`${at}: does not match any allowed shape`);
+    }
+    if (schema.oneOf && matching !== 1) {
+      errors.push(`${at}: must match exactly one allowed shape (matched ${matching})`);
+    }
+  }
+}
+
+function validate(schema, value) {
+  const errors = [];
+  validateNode(schema, value, "$", schema, errors);
+  return errors;
+}
+
+function loadSchema(name) {
+  return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, name), "utf8"));
+}
+
+module.exports = {
+  validate,
+  loadSchema,
+};
@@ -0,0 +1,219 @@
+// ----------------------
+// Global state snapshots (R-012)
+// ----------------------
+// Captures the surfaces a resolver could leak state into so the harness can
+// diff them around an invocation: globalThis, process.env, process.cwd(),
+// built-in prototypes, the resolver's own exports and the active libuv
+// handles (timers, sockets, ...) it may leave open after returning.
+
+const BUILTIN_PROTOTYPES = {
+  "Object.prototype": Object.prototype,
+  "Array.prototype": Array.prototype,
+  "String.prototype": String.prototype,
+  "Number.prototype": Number.prototype,
+  "Boolean.prototype": Boolean.prototype,
+  "Function.prototype": Function.prototype,
+  "Promise.prototype": Promise.prototype,
+  "Date.prototype": Date.prototype,
+  "RegExp.prototype": RegExp.prototype,
+  "Map.prototype": Map.prototype,
+  "Set.prototype": Set.prototype,
+  "Error.prototype": Error.prototype,
+  "JSON": JSON,
+  "Math": Math,
+};
+
+function keyName(key) {
+  return typeof key === "symbol" ? key.toString() : key;
+}
+
+// Records property descriptors without invoking getters, so lazily
+// initialised globals are not triggered by the snapshot itself.
+function describeOwnProperties(target) {
+  const props = new Map();
+  for (const key of Reflect.ownKeys(target)) {
+    const desc = Object.getOwnPropertyDescriptor(target, key);
+    if (!desc) continue;
+    props.set(key, "value" in desc
+      ? { value: desc.value }
+      : { get: desc.get, set: desc.set });
+  }
+  return props;
+}
+
+// Node defines some globals (TextEncoder, AbortSignal, Headers, ...) as lazy
+// accessors that replace themselves with a data property on first use. That
+// swap is not a mutation as long as the value is the one the getter yields;
+// calling the getter again only returns the value it already installed.
+function sameDescriptor(a, b, target) {
+  if ("get" in a && "value" in b) {
+    try {
+      return Object.is(a.get.call(target), b.value);
+    } catch {
+      return false;
+    }
+  }
+  if ("value" in a || "value" in b) {
+    return Object.is(a.value, b.value);
+  }
+  return a.get === b.get && a.set === b.set;
+}
+
+// undici (fetch, Headers, ...) registers its dispatcher under a global symbol
+// the first time it is used
+function isIgnoredKey(key) {
+  return typeof key === "symbol" && /^undici\.globalDispatcher\b/.test(key.description || "");
+}
+
+// Module-level state is only observable through what the resolver exports,
+// so serialise the exported object (and its declaration) as a proxy for it.
+function serializeExports(resolver) {
+  const state = {};
+  if (!resolver || (typeof resolver !== "object" && typeof resolver !== "function")) {
+    return state;
+  }
+  for (const key of Object.keys(resolver)) {
+    try {
+      state[key] = JSON.stringify(resolver[key]);
+    } catch {
+      state[key] = "[unserializable]";
+    }
+  }
+  return state;
+}
+
+function countActiveHandles() {
+  const counts = {};
+  for (const type of process.getActiveResourcesInfo()) {
+    counts[type] = (counts[type] || 0) + 1;
+  }
+  return counts;
+}
+
+function takeSnapshot(resolver) {
+  const prototypes = {};
+  for (const [name, proto] of Object.entries(BUILTIN_PROTOTYPES)) {
+    prototypes[name] = describeOwnProperties(proto);
+  }
+
+  return {
+    globals: describeOwnProperties(globalThis),
+    env: { ...process.env },
+    cwd: process.cwd(),
+    prototypes,
+    exports: serializeExports(resolver),
+    handles: countActiveHandles(),
+  };
+}
+
+function diffPropertyMaps(before, after, target) {
+  const diff = { added: [], changed: [], deleted: [] };
+  for (const [key, desc] of after) {
+    if (isIgnoredKey(key)) continue;
+    if (!before.has(key)) {
+      diff.added.push(keyName(key));
+    } else if (!sameDescriptor(before.get(key), desc, target)) {
+      diff.changed.push(keyName(key));
+    }
+  }
+  for (const key of before.keys()) {
+    if (!after.has(key) && !isIgnoredKey(key)) diff.deleted.push(keyName(key));
+  }
+  return diff;
+}
+
+function diffRecords(before, after) {
+  const diff = { added: [], changed: [], deleted: [] };
+  for (const key of Object.keys(after)) {
+    if (!(key in before)) diff.added.push(key);
+    else if (before[key] !== after[key]) diff.changed.push(key);
+  }
+  for (const key of Object.keys(before)) {
+    if (!(key in after)) diff.deleted.push(key);
+  }
+  return diff;
+}
+
+// Only handles that outlive the invocation matter; ones the resolver closed
+// (or that belonged to the harness) are ignored.
+function diffHandles(before, after) {
+  const diff = { added: [], changed: [], deleted: [] };
+  for (const [type, count] of Object.entries(after)) {
+    const extra = count - (before[type] || 0);
+    if (extra > 0) diff.added.push(extra > 1 ? `${type} ×${extra}` : type);
+  }
+  return diff;
+}
+
+function isEmptyDiff(diff) {
+  return !diff.added.length && !diff.changed.length && !diff.deleted.length;
+}
+
+// Returns null when nothing changed, otherwise only the non-empty sections.
+function diffSnapshots(before, after) {
+  const mutations = {};
+
+  const globals = diffPropertyMaps(before.globals, after.globals, globalThis);
+  if (!isEmptyDiff(globals)) mutations.globals = globals;
+
+  const env = diffRecords(before.env, after.env);
+  if (!isEmptyDiff(env)) mutations.env = env;
+
+  if (before.cwd !== after.cwd) {
+    mutations.cwd = { before: before.cwd, after: after.cwd };
+  }
+
+  const prototypes = {};
+  for (const name of Object.keys(before.prototypes)) {
+    const diff = diffPropertyMaps(before.prototypes[name], after.prototypes[name], BUILTIN_PROTOTYPES[name]);
+    if (!isEmptyDiff(diff)) prototypes[name] = diff;
+  }
+  if (Object.keys(prototypes).length) mutations.prototypes = prototypes;
+
+  const exportsDiff = diffRecords(before.exports, after.exports);
+  if (!isEmptyDiff(exportsDiff)) mutations.exports = exportsDiff;
+
+  const handles = diffHandles(before.handles, after.handles);
+  if (!isEmptyDiff(handles)) mutations.handles = handles;
+
+  return Object.keys(mutations).length ? mutations : null;
+}
+
+// Merges the diffs of several invocations (e.g. determinism runs) into one.
+function mergeMutations(list) {
+  const merged = {};
+  for (const mutations of list) {
+    if (!mutations) continue;
+    for (const [section, diff] of Object.entries(mutations)) {
+      if (section === "cwd") {
+        merged.cwd = merged.cwd
+          ? { before: merged.cwd.before, after: diff.after }
+          : diff;
+      } else if (section === "prototypes") {
+        merged.prototypes = merged.prototypes || {};
+        for (const [name, protoDiff] of Object.entries(diff)) {
+          merged.prototypes[name] = mergeDiff(merged.prototypes[name], protoDiff);
+        }
+      } else {
+        merged[section] = mergeDiff(merged[section], diff);
+      }
+    }
+  }
+  return Object.keys(merged).length ? merged : null;
+}
+
+function mergeDiff(a, b) {
+  if (!a) return { added: [...b.added], changed: [...b.changed], deleted: [...b.deleted] };
+  const union = (x, y) => [...new Set([...x, ...y])];
+  return {
+    added: union(a.added, b.added),
+    changed: union(a.changed, b.changed),
+    deleted: union(a.deleted, b.deleted),
+  };
+}
+
+module.exports = {
+  takeSnapshot,
+  diffSnapshots,
+  mergeMutations,
+};
@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { takeSnapshot, diffSnapshots } = require("./snapshot");
+
+test("first use of Node's lazy globals is not a mutation", () => {
+  const before = takeSnapshot();
+  new Headers();
+  new TextEncoder();
+  new TextDecoder();
+  AbortSignal.abort();
+  assert.equal(diffSnapshots(before, takeSnapshot()), null);
+});
+
+test("replacing or adding a global is still reported", t => {
+  const original = globalThis.structuredClone;
+  t.after(() => {
+    globalThis.structuredClone = original;
+    delete globalThis.__snapshot_leak;
+  });
+
+  const before = takeSnapshot();
+  globalThis.structuredClone = value => value;
+  globalThis.__snapshot_leak = 1;
+  assert.deepStrictEqual(diffSnapshots(before, takeSnapshot()).globals, {
+    added: ["__snapshot_leak"],
+    changed: ["structuredClone"],
+    deleted: [],
+  });
+});
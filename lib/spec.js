@@ -0,0 +1,91 @@
+const path = require("path");
+const fs = require("fs");
+const { validate, loadSchema } = require("./schema");
+
+// ----------------------
+// Suite spec validation (test.json)
+// ----------------------
+// Checks a suite's test.json against schema/test-spec.schema.json before any
+// fixture runs, plus what the schema cannot express: assertion types the
+// harness knows, unique assertion ids, fixture-level assertion ids that
+// exist, and a protocol_version this harness supports.
+
+const SUPPORTED_PROTOCOL_VERSION = "1.1";
+
+function parseVersion(version) {
+  const [major, minor] = String(version).split(".").map(Number);
+  return { major, minor };
+}
+
+function isNewerProtocol(version, supported = SUPPORTED_PROTOCOL_VERSION) {
+  const a = parseVersion(version);
+  const b = parseVersion(supported);
+  return a.major > b.major || (a.major === b.major && a.minor > b.minor);
+}
+
+// Returns a list of "$.path: problem" strings, empty when the spec is valid.
+function validateSuiteSpec(spec, { knownAssertionTypes = [], suiteId } = {}) {
+  const errors = validate(loadSchema("test-spec.schema.json"), spec);
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) return errors;
+
+  if (suiteId && typeof spec.test_id === "string" && spec.test_id !== suiteId) {
+    errors.push(`$.test_id: "${spec.test_id}" does not match its directory "${suiteId}"`);
+  }
+
+  if (typeof spec.protocol_version === "string" && isNewerProtocol(spec.protocol_version)) {
+    errors.push(
+      `$.protocol_version: ${spec.protocol_version} is newer than this harness supports (${SUPPORTED_PROTOCOL_VERSION}); upgrade @o-lang/js-olang-tester`
+    );
+  }
+
+  const assertions = Array.isArray(spec.assertions) ? spec.assertions : [];
+  const ids = new Set();
+  assertions.forEach((assertion, i) => {
+    if (!assertion || typeof assertion !== "object") return;
+    if (typeof assertion.type === "string" && knownAssertionTypes.length > 0 &&
+        !knownAssertionTypes.includes(assertion.type)) {
+      errors.push(`$.assertions[${i}].type: unknown assertion type "${assertion.type}"`);
+    }
+    if (typeof assertion.id === "string") {
+      if (ids.has(assertion.id)) errors.push(`$.assertions[${i}].id: duplicate id "${assertion.id}"`);
+      ids.add(assertion.id);
+    }
+  });
+
+  const fixtures = Array.isArray(spec.fixtures?.inputs) ? spec.fixtures.inputs : [];
+  fixtures.forEach((fixture, i) => {
+    if (!Array.isArray(fixture?.assertions)) return;
+    fixture.assertions.forEach((id, j) => {
+      if (typeof id === "string" && !ids.has(id)) {
+        errors.push(`$.fixtures.inputs[${i}].assertions[${j}]: no assertion with id "${id}"`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// Reads and validates <suiteDir>/test.json. Returns { spec, errors }; errors
+// are prefixed with the file path so they can be printed as-is.
+function loadSuiteSpec(suiteDir, options = {}) {
+  const specPath = path.join(suiteDir, "test.json");
+  if (!fs.existsSync(specPath)) {
+    return { spec: null, errors: [`${specPath}: test spec not found`] };
+  }
+
+  let spec;
+  try {
+    spec = JSON.parse(fs.readFileSync(specPath, "utf8"));
+  } catch (err) {
+    return { spec: null, errors: [`${specPath}: invalid JSON (${err.message})`] };
+  }
+
+  const errors = validateSuiteSpec(spec, { suiteId: path.basename(suiteDir), ...options });
+  return { spec, errors: errors.map(e => `${specPath}: ${e}`) };
+}
+
+module.exports = {
+  SUPPORTED_PROTOCOL_VERSION,
+  validateSuiteSpec,
+  loadSuiteSpec,
+};
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { validateSuiteSpec, loadSuiteSpec } = require("./spec");
+const { discoverSuites } = require("./discovery");
+const { runAllTests, knownAssertionTypes } = require("./runner");
+const { tempDir } = require("./testing");
+
+function validSpec(overrides = {}) {
+  return {
+    test_id: "R-101-payments",
+    protocol_version: "1.1",
+    category: "resolver",
+    description: "Payments resolvers declare an owner",
+    fixtures: { inputs: [{ name: "resolver under test", assertions: ["has_owner"] }] },
+    assertions: [{ id: "has_owner", type: "resolver_has_field", field: "owner", severity: "fatal", description: "owner" }],
+    ...overrides,
+  };
+}
+
+function validateOptions() {
+  return { knownAssertionTypes: knownAssertionTypes(), suiteId: "R-101-payments" };
+}
+
+test("every bundled suite validates", () => {
+  for (const suite of discoverSuites()) {
+    assert.deepStrictEqual(loadSuiteSpec(suite.dir, { knownAssertionTypes: knownAssertionTypes() }).errors, [], suite.id);
+  }
+});
+
+test("problems the schema cannot express are reported", () => {
+  assert.deepStrictEqual(validateSuiteSpec(validSpec(), validateOptions()), []);
+
+  const cases = [
+    [{ test_id: "R-102-ledger" }, /\$\.test_id: "R-102-ledger" does not match its directory "R-101-payments"/],
+    [{ protocol_version: "1.2" }, /\$\.protocol_version: 1\.2 is newer than this harness supports \(1\.1\)/],
+    [{ assertions: [{ id: "a", type: "no_such_type", severity: "fatal", description: "a" }] }, /unknown assertion type "no_such_type"/],
+    [{ assertions: [...validSpec().assertions, ...validSpec().assertions] }, /\$\.assertions\[1\]\.id: duplicate id "has_owner"/],
+    [{ fixtures: { inputs: [{ assertions: ["missing"] }] } }, /\$\.fixtures\.inputs\[0\]\.assertions\[0\]: no assertion with id "missing"/],
+  ];
+  for (const [overrides, message] of cases) {
+    assert.match(validateSuiteSpec(validSpec(overrides), validateOptions()).join("\n"), message);
+  }
+});
+
+test("schema violations are reported with their path", () => {
+  const { assertions, ...withoutAssertions } = validSpec();
+  assert.ok(assertions);
+  assert.match(validateSuiteSpec(withoutAssertions).join("\n"), /assertions/);
+});
+
+test("unreadable specs are reported against their file", t => {
+  const dir = tempDir(t);
+
+  assert.match(loadSuiteSpec(dir).errors[0], /test spec not found/);
+  fs.writeFileSync(path.join(dir, "test.json"), "{ not json");
+  assert.match(loadSuiteSpec(dir).errors[0], /test\.json: invalid JSON/);
+});
+
+test("a suite with an invalid spec fails before any fixture runs", async t => {
+  const root = tempDir(t);
+  fs.mkdirSync(path.join(root, "R-101-payments"));
+  fs.writeFileSync(path.join(root, "R-101-payments", "test.json"), JSON.stringify(validSpec({ protocol_version: "2.0" })));
+
+  let invoked = false;
+  const resolver = { resolverName: "pay", get owner() { invoked = true; return "team"; } };
+  const [suite] = discoverSuites({ dirs: [root], include: ["R-101-*"] });
+  const result = await runAllTests({ suites: [suite], resolver, seed: 1, onEvent: () => {} });
+
+  assert.equal(result.status, "fail");
+  assert.match(result.suites[0].failures.join("\n"), /Invalid test spec:[\s\S]*newer than this harness supports/);
+  assert.equal(invoked, false);
+});
@@ -0,0 +1,91 @@
+const path = require("path");
+const fs = require("fs");
+
+// ----------------------
+// Multi-resolver summary (conformance-summary.json / .md)
+// ----------------------
+// One row per resolver, one column per suite. A resolver that could not be
+// loaded has status "error" and no suite results.
+
+const CELL_TEXT = { pass: "pass", warn: "warn", fail: "FAIL", timeout: "TIMEOUT" };
+const NOT_RUN = "-";
+
+// runs: [{ name, dir, resolverPath, meta, result, error }], where name is the
+// resolver's output directory name (see resolverRunDirs())
+function buildSummary(runs, suiteIds) {
+  const resolvers = runs.map(run => ({
+    id: run.name,
+    name: run.meta?.resolverName || run.name,
+    version: run.meta?.version || "",
+    path: run.resolverPath,
+    output_dir: run.dir,
+    status: run.error ? "error" : run.result.status,
+    ...(run.error ? { error: run.error } : {}),
+    suites: Object.fromEntries(
+      (run.result?.suites || []).map(s => [s.suite, s.status])
+    ),
+  }));
+
+  const certified = resolvers.filter(r => r.status === "pass" || r.status === "warn").length;
+  return {
+    timestamp: new Date().toISOString(),
+    status: certified === resolvers.length ? "pass" : "fail",
+    certified,
+    total: resolvers.length,
+    suites: suiteIds,
+    resolvers,
+  };
+}
+
+// Column headers use the short "R-006" form unless two suites share it
+function suiteHeaders(suiteIds) {
+  const short = suiteIds.map(id => (id.match(/^R-\d{3}/) || [id])[0]);
+  return short.map((s, i) => (short.indexOf(s) === short.lastIndexOf(s) ? s : suiteIds[i]));
+}
+
+// A Markdown table, padded so it also lines up on a terminal
+function formatSummaryTable(summary) {
+  const header = ["Resolver", "Version", "Status", ...suiteHeaders(summary.suites)];
+  const rows = summary.resolvers.map(r => [
+    r.name === r.id ? r.name : `${r.name} (${r.id})`,
+    r.version || NOT_RUN,
+    r.status,
+    ...summary.suites.map(id => CELL_TEXT[r.suites[id]] || NOT_RUN),
+  ]);
+
+  const widths = header.map((h, col) => Math.max(h.length, ...rows.map(row => row[col].length)));
+  const line = cells => `| ${cells.map((c, col) => c.padEnd(widths[col])).join(" | ")} |`;
+  return [
+    line(header),
+    `|${widths.map(w => "-".repeat(w + 2)).join("|")}|`,
+    ...rows.map(line),
+  ].join("\n") + "\n";
+}
+
+// Returns { jsonPath, markdownPath }.
+function writeSummary(summary, outputDir = process.cwd()) {
+  const jsonPath = path.join(outputDir, "conformance-summary.json");
+  const markdownPath = path.join(outputDir, "conformance-summary.md");
+
+  const errors = summary.resolvers.filter(r => r.error);
+  const markdown = [
+    "# O-lang Conformance Summary",
+    "",
+    `${summary.certified} of ${summary.total} resolver(s) certified — ${summary.timestamp}`,
+    "",
+    formatSummaryTable(summary),
+    ...errors.map(r => `- **${r.name}** could not be certified: ${r.error}`),
+    "",
+  ].join("\n");
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(jsonPath, JSON.stringify(summary, null, 2));
+  fs.writeFileSync(markdownPath, markdown);
+  return { jsonPath, markdownPath };
+}
+
+module.exports = {
+  buildSummary,
+  formatSummaryTable,
+  writeSummary,
+};
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { buildSummary, formatSummaryTable, writeSummary } = require("./summary");
+const { tempDir } = require("./testing");
+
+const SUITES = ["R-005-resolver-metadata-contract", "R-010-resolver-output-contract"];
+
+function runOf(name, status, suiteStatuses, meta = { resolverName: name, version: "1.0.0" }) {
+  return {
+    name,
+    dir: `/out/${name}`,
+    resolverPath: `/repo/resolvers/${name}/index.js`,
+    meta,
+    result: { status, suites: SUITES.map((suite, i) => ({ suite, status: suiteStatuses[i] })) },
+  };
+}
+
+const RUNS = [
+  runOf("http", "pass", ["pass", "pass"]),
+  runOf("db", "warn", ["pass", "warn"], { resolverName: "postgres", version: "2.1.0" }),
+  runOf("mail", "fail", ["pass", "fail"]),
+  { name: "broken", dir: "/out/broken", resolverPath: "/repo/resolvers/broken/index.js", error: "Failed to load resolver: boom" },
+];
+
+test("the summary counts certified resolvers, warnings included", () => {
+  const summary = buildSummary(RUNS, SUITES);
+  assert.equal(summary.status, "fail");
+  assert.equal(summary.certified, 2);
+  assert.equal(summary.total, 4);
+  assert.deepStrictEqual(summary.resolvers.map(r => [r.id, r.name, r.status]), [
+    ["http", "http", "pass"],
+    ["db", "postgres", "warn"],
+    ["mail", "mail", "fail"],
+    ["broken", "broken", "error"],
+  ]);
+  assert.equal(summary.resolvers[3].error, "Failed to load resolver: boom");
+  assert.equal(buildSummary(RUNS.slice(0, 2), SUITES).status, "pass");
+});
+
+test("the table has one column per suite and one row per resolver", () => {
+  const lines = formatSummaryTable(buildSummary(RUNS, SUITES)).trimEnd().split("\n");
+  assert.match(lines[0], /^\| Resolver +\| Version \| Status \| R-005 \| R-010 \|$/);
+  assert.match(lines[3], /^\| postgres \(db\) +\| 2\.1\.0 +\| warn +\| pass +\| warn +\|$/);
+  assert.match(lines[4], /^\| mail .*\| FAIL +\|$/);
+  assert.match(lines[5], /^\| broken +\| - +\| error +\| - +\| - +\|$/);
+  assert.equal(new Set(lines.map(l => l.length)).size, 1);
+});
+
+test("suites sharing a short id keep their full id", () => {
+  const suites = ["R-101-payments", "R-101-ledger"];
+  const table = formatSummaryTable(buildSummary([], suites));
+  assert.match(table, /R-101-payments \| R-101-ledger/);
+});
+
+test("the summary is written as JSON and Markdown", t => {
+  const dir = tempDir(t);
+  const summary = buildSummary(RUNS, SUITES);
+
+  const { jsonPath, markdownPath } = writeSummary(summary, path.join(dir, "out"));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(jsonPath, "utf8")), summary);
+  const markdown = fs.readFileSync(markdownPath, "utf8");
+  assert.match(markdown, /^# O-lang Conformance Summary\n\n2 of 4 resolver\(s\) certified/);
+  assert.match(markdown, /- \*\*broken\*\* could not be certified: Failed to load resolver: boom/);
+});
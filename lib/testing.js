@@ -0,0 +1,81 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runAllTests } = require("./runner");
+
+// ----------------------
+// Shared helpers for the *.test.js files
+// ----------------------
+// Not part of the package API. makeRiskResolver() is the conformant resolver
+// the tests certify; each test overrides only the behaviour it is about.
+
+const RISK_DECLARATION = {
+  resolverName: "risk",
+  version: "1.0.0",
+  exampleAction: "Action risk transaction_id=42",
+  inputs: [{ name: "transaction_id", type: "integer", required: true }],
+  outputs: [{ name: "risk_score", type: "number" }],
+  failures: [
+    { code: "MISSING_PARAMETER", retries: 0 },
+    { code: "INVALID_INPUT", retries: 0 },
+    { code: "UNRESOLVED_VARIABLES", retries: 0 },
+  ],
+};
+
+const quiet = () => {};
+
+// lookup(transactionId, context) produces the output of a valid invocation;
+// output is shorthand for a constant one. declaration overrides fields of
+// RISK_DECLARATION.
+function makeRiskResolver({ output = { risk_score: 0.3 }, lookup = () => output, declaration = {} } = {}) {
+  async function resolver(action, context) {
+    if (action == null || (typeof action === "string" && !action.trim())) {
+      return { error: JSON.stringify({ code: "MISSING_PARAMETER" }) };
+    }
+    if (typeof action !== "string" || !action.startsWith("Action risk")) return undefined;
+    const id = /transaction_id=(\S*)/.exec(action)?.[1];
+    if (!id) return { error: JSON.stringify({ code: "MISSING_PARAMETER" }) };
+    if (/[{}]/.test(id)) return { error: "UNRESOLVED_VARIABLES" };
+    if (!/^\d{1,12}$/.test(id) || /unexpected_/.test(action)) return { error: "INVALID_INPUT" };
+    return { output: await lookup(id, context) };
+  }
+  resolver.resolverDeclaration = { ...RISK_DECLARATION, ...declaration };
+  return resolver;
+}
+
+// Writes a module exporting makeRiskResolver(options); options must be JSON
+// (output, declaration). Returns the file path.
+function writeRiskResolver(file, options = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    `module.exports = require(${JSON.stringify(__filename)}).makeRiskResolver(${JSON.stringify(options)});\n`
+  );
+  return file;
+}
+
+// A fresh directory, removed when the test ends
+function tempDir(t, prefix = "olang-test-") {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function runSuite(suite, resolver, options = {}) {
+  return runAllTests({ suites: [suite], resolver, seed: 1, onEvent: quiet, ...options });
+}
+
+// The first suite's result for assertion id
+function assertionResult(result, id) {
+  return result.suites[0].assertions.find(a => a.id === id);
+}
+
+module.exports = {
+  RISK_DECLARATION,
+  quiet,
+  makeRiskResolver,
+  writeRiskResolver,
+  tempDir,
+  runSuite,
+  assertionResult,
+};
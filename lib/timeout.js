@@ -0,0 +1,51 @@
+const { ResolverTimeoutError } = require("./errors");
+
+// ----------------------
+// Invocation timeouts
+// ----------------------
+// A resolver that never settles would otherwise hang the whole certification
+// run. Every invocation is raced against a timer. The timer stays ref'd: a
+// promise that never settles holds no handle of its own, so without it the
+// event loop could empty and the process exit mid-run with nothing reported.
+//
+// fn receives an AbortSignal that fires on timeout, so globals patched for
+// the invocation (stubbed fetch, frozen sources) can be restored even though
+// the resolver's promise is still pending.
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+function withTimeout(fn, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new ResolverTimeoutError(timeoutMs);
+      controller.abort(err);
+      reject(err);
+    }, timeoutMs);
+  });
+
+  return Promise.race([Promise.resolve().then(() => fn(controller.signal)), timeout])
+    .finally(() => clearTimeout(timer));
+}
+
+// Returns release(), which calls restore exactly once: when invoked, or when
+// signal aborts, whichever comes first
+function releaseOnAbort(restore, signal) {
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    signal?.removeEventListener("abort", release);
+    restore();
+  };
+  if (signal?.aborted) release();
+  else signal?.addEventListener("abort", release, { once: true });
+  return release;
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  withTimeout,
+  releaseOnAbort,
+};
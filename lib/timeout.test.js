@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawnSync } = require("node:child_process");
+const { withTimeout, releaseOnAbort } = require("./timeout");
+const { callResolver } = require("./invoke");
+const { ResolverTimeoutError } = require("./errors");
+
+const never = () => new Promise(() => {});
+
+test("a promise that never settles still times out in a process with nothing else pending", () => {
+  const script = `
+    require(${JSON.stringify(require.resolve("./timeout"))})
+      .withTimeout(() => new Promise(() => {}), 50)
+      .catch(err => { console.log(err.code); process.exitCode = 3; });
+  `;
+  const child = spawnSync(process.execPath, ["-e", script], { encoding: "utf8", timeout: 10000 });
+  assert.equal(child.stdout.trim(), "HARNESS_TIMEOUT");
+  assert.equal(child.status, 3);
+});
+
+test("withTimeout resolves with fn's value and aborts the signal on timeout", async () => {
+  assert.equal(await withTimeout(() => 42, 1000), 42);
+
+  let signal;
+  await assert.rejects(withTimeout(s => { signal = s; return never(); }, 20), ResolverTimeoutError);
+  assert.equal(signal.aborted, true);
+});
+
+test("releaseOnAbort restores exactly once", () => {
+  const controller = new AbortController();
+  let restored = 0;
+  const release = releaseOnAbort(() => restored++, controller.signal);
+  controller.abort();
+  release();
+  assert.equal(restored, 1);
+});
+
+test("stubbed fetch and frozen sources are restored when an invocation times out", async () => {
+  const realFetch = globalThis.fetch;
+  const realDate = Date;
+  const realRandom = Math.random;
+  const resolver = () => never();
+
+  await assert.rejects(
+    callResolver(resolver, "Action x", { fetch: async () => null }, { timeoutMs: 20, stubFetch: true, freeze: ["date", "random"] }),
+    ResolverTimeoutError
+  );
+  assert.equal(globalThis.fetch, realFetch);
+  assert.equal(Date, realDate);
+  assert.equal(Math.random, realRandom);
+});
@@ -0,0 +1,38 @@
+const { validate } = require("./schema");
+
+// ----------------------
+// Declared input/output types
+// ----------------------
+// Type names resolvers may use in inputs[].type / outputs[].type. Richer
+// (nested) shapes are declared with a JSON Schema in a `schema` property next
+// to the type, e.g.
+//   { name: "items", type: "array", schema: { type: "array", items: { type: "string" } } }
+
+const KNOWN_TYPES = ["string", "number", "integer", "boolean", "object", "array", "any"];
+
+function describeValue(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+// Returns a list of problems with the value (empty when it conforms). Type
+// names the harness does not know are not checked here.
+function checkDeclaredType(value, declaration) {
+  if (declaration.schema && typeof declaration.schema === "object") {
+    return validate(declaration.schema, value);
+  }
+  const type = declaration.type;
+  if (!KNOWN_TYPES.includes(type) || type === "any") return [];
+  if (type === "number" && typeof value === "number" && !Number.isFinite(value)) {
+    return [`$: expected a finite number, got ${value}`];
+  }
+  return validate({ type }, value);
+}
+
+module.exports = {
+  KNOWN_TYPES,
+  describeValue,
+  checkDeclaredType,
+};
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { describeValue, checkDeclaredType } = require("./types");
+
+test("values are described by their JSON type, integers separately", () => {
+  assert.deepStrictEqual(
+    [null, [], 3, 0.5, "x", true, {}].map(describeValue),
+    ["null", "array", "integer", "number", "string", "boolean", "object"]
+  );
+});
+
+test("declared types are checked", () => {
+  const ok = [
+    [1, "integer"], [1.5, "number"], [1, "number"], ["a", "string"],
+    [false, "boolean"], [{}, "object"], [[], "array"], [null, "any"],
+  ];
+  for (const [value, type] of ok) {
+    assert.deepStrictEqual(checkDeclaredType(value, { type }), [], `${JSON.stringify(value)} as ${type}`);
+  }
+
+  const wrong = [[1.5, "integer"], ["0.8", "number"], [1, "string"], ["true", "boolean"], [[], "object"], [{}, "array"]];
+  for (const [value, type] of wrong) {
+    assert.notDeepStrictEqual(checkDeclaredType(value, { type }), [], `${JSON.stringify(value)} as ${type}`);
+  }
+});
+
+test("non-finite numbers are not numbers", () => {
+  for (const value of [NaN, Infinity]) {
+    assert.match(checkDeclaredType(value, { type: "number" }).join(), /expected a finite number/);
+  }
+});
+
+test("a declared schema checks nested shapes", () => {
+  const declaration = { type: "array", schema: { type: "array", items: { type: "string" } } };
+  assert.deepStrictEqual(checkDeclaredType(["a", "b"], declaration), []);
+  assert.equal(checkDeclaredType(["a", 2], declaration).length, 1);
+});
+
+test("type names the harness does not know are left unchecked", () => {
+  assert.deepStrictEqual(checkDeclaredType(42, { type: "currency" }), []);
+});
@@ -1,134 +1,687 @@
 #!/usr/bin/env node
-console.log("🚀 Starting O-lang resolver test runner...");
 const path = require("path");
 const fs = require("fs");
 
 // ----------------------
-// Load resolver from env
+// Resolve resolver paths (config file, OLANG_RESOLVER or --resolver)
 // ----------------------
-let resolverPath = process.env.OLANG_RESOLVER;
-
-if (!resolverPath) {
-  console.error("❌ OLANG_RESOLVER environment variable is not set");
-  process.exit(1);
-}
+// Each entry may be a glob; see lib/resolvers.js.
+function resolveResolverPaths(opts) {
+  if (opts.resolver.length === 0) {
+    console.error("❌ No resolver configured: set OLANG_RESOLVER, --resolver or \"resolver\" in olang-tester.config.js");
+    process.exit(1);
+  }
 
-// Normalize relative paths
-if (resolverPath.startsWith(".")) {
-  resolverPath = path.resolve(process.cwd(), resolverPath);
-}
+  const resolverPaths = [];
+  for (const entry of opts.resolver) {
+    const matches = expandResolverPaths([entry]);
+    // Verify resolver exists
+    if (matches.length === 0 || !fs.existsSync(matches[0])) {
+      console.error(`❌ Resolver path does not exist: ${entry}`);
+      process.exit(1);
+    }
+    resolverPaths.push(...matches);
+  }
 
-// Verify resolver exists
-if (!fs.existsSync(resolverPath)) {
-  console.error(`❌ Resolver path does not exist: ${resolverPath}`);
-  process.exit(1);
+  return [...new Set(resolverPaths)];
 }
 
-let resolver;
-try {
-  resolver = require(resolverPath);
-} catch (err) {
-  console.error(`❌ Failed to load resolver from ${resolverPath}`);
-  console.error(err);
-  process.exit(1);
+// In isolation mode the resolver is only ever loaded inside a worker or
+// child process, never into the harness itself.
+async function loadResolver(resolverPath, isolate) {
+  if (isolate) {
+    return createIsolatedResolver(resolverPath, { mode: isolate });
+  }
+  return require(resolverPath);
 }
 
 // ----------------------
 // CLI arg parsing
 // ----------------------
+// Only flags actually given are set; everything else comes from the config
+// file or defaults (see lib/config.js).
+const COMMANDS = ["certify", "validate-suites", "verify", "init"];
+
+// init writes files, so unlike the other commands it rejects anything it does
+// not understand instead of quietly scaffolding with defaults. Values: whether
+// the flag takes an argument.
+const INIT_FLAGS = {
+  "--name": true,
+  "--resolver-version": true,
+  "--input": true,
+  "--output": true,
+  "--failure": true,
+  "--yes": false,
+  "--force": false,
+  "--help": false,
+  "-h": false
+};
+
+const INIT_USAGE = `Usage: olang-resolver-test init [dir] [options]
+
+Scaffolds a resolver that passes every resolver suite into dir (default: .)
+
+Options:
+  --name <name>               resolverName (default: the directory name)
+  --resolver-version <semver> declared version (default: 0.1.0)
+  --input <name[:type][?]>    declared input; type string, number, integer or boolean; ? = optional
+  --output <name[:type]>      declared output; also object or array
+  --failure <CODE[:retries]>  declared dependency failure
+  --yes                       use the given values and defaults without prompting
+  --force                     overwrite existing files
+  -h, --help                  show this help`;
+
+// Returns true when help was asked for
+function checkInitArgs(args) {
+  let help = false;
+  let dirs = 0;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith("-")) {
+      if (++dirs > 1) throw new Error(`init takes one directory (got "${arg}" as well); see init --help`);
+      continue;
+    }
+    if (!(arg in INIT_FLAGS)) {
+      throw new Error(`Unknown option for init: ${arg} (see init --help)`);
+    }
+    if (arg === "--help" || arg === "-h") help = true;
+    if (INIT_FLAGS[arg]) {
+      if (args[i + 1] === undefined) throw new Error(`${arg} needs a value (see init --help)`);
+      i++;
+    }
+  }
+  return help;
+}
+
 function parseArgs() {
-  const args = process.argv.slice(2);
-  const opts = {
+  let args = process.argv.slice(2);
+  let command = "certify";
+  if (COMMANDS.includes(args[0])) {
+    command = args[0];
+    args = args.slice(1);
+  }
+  if (command === "init" && checkInitArgs(args)) {
+    return { command, help: true };
+  }
+
+  const cli = {
+    resolver: [],
     suites: [],
-    json: false
+    suitesDirs: [],
+    include: [],
+    exclude: [],
+    tags: [],
+    plugins: [],
+    reporters: [],
+    goldenIgnore: []
+  };
+  const opts = {
+    command,
+    json: false,
+    printConfig: false,
+    config: undefined,
+    publicKey: null,
+    resolverDir: null,
+    // init: only what was given; the rest is prompted for or defaulted
+    init: { inputs: [], outputs: [], failures: [], yes: false, force: false },
+    positional: []
   };
 
   for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith("--")) {
+      opts.positional.push(args[i]);
+      continue;
+    }
+    if (args[i] === "--config" && args[i + 1]) {
+      opts.config = args[++i];
+    }
+    if (args[i] === "--resolver" && args[i + 1]) {
+      cli.resolver.push(path.resolve(args[++i]));
+    }
+    if (args[i] === "--concurrency" && args[i + 1]) {
+      cli.concurrency = Number(args[++i]);
+    }
+    if (args[i] === "--determinism-runs" && args[i + 1]) {
+      cli.determinismRuns = Number(args[++i]);
+    }
+    if (args[i] === "--trace-nondeterminism") {
+      cli.traceNondeterminism = true;
+    }
+    if (args[i] === "--record" || args[i] === "--replay") {
+      if (cli.golden && cli.golden !== args[i].slice(2)) {
+        throw new Error("--record and --replay cannot be combined");
+      }
+      cli.golden = args[i].slice(2);
+    }
+    if (args[i] === "--golden-dir" && args[i + 1]) {
+      cli.goldenDir = path.resolve(args[++i]);
+    }
+    if (args[i] === "--golden-ignore" && args[i + 1]) {
+      cli.goldenIgnore.push(args[++i]);
+    }
+    if (args[i] === "--print-config") {
+      opts.printConfig = true;
+    }
     if (args[i] === "--suite" && args[i + 1]) {
-      opts.suites.push(args[++i]);
+      cli.suites.push(args[++i]);
     }
     if (args[i] === "--json") {
       opts.json = true;
     }
+    if (args[i] === "--strict") {
+      cli.strict = true;
+    }
+    if (args[i] === "--timeout" && args[i + 1]) {
+      cli.timeoutMs = Number(args[++i]);
+    }
+    if (args[i] === "--seed" && args[i + 1]) {
+      cli.seed = Number(args[++i]);
+    }
+    if (args[i] === "--suites-dir" && args[i + 1]) {
+      cli.suitesDirs.push(path.resolve(args[++i]));
+    }
+    if (args[i] === "--include" && args[i + 1]) {
+      cli.include.push(args[++i]);
+    }
+    if (args[i] === "--exclude" && args[i + 1]) {
+      cli.exclude.push(args[++i]);
+    }
+    if (args[i] === "--tag" && args[i + 1]) {
+      cli.tags.push(args[++i]);
+    }
+    if (args[i] === "--plugin" && args[i + 1]) {
+      cli.plugins.push(args[++i]);
+    }
+    if (args[i] === "--reporter" && args[i + 1]) {
+      cli.reporters.push(args[++i]);
+    }
+    if (args[i] === "--output-dir" && args[i + 1]) {
+      cli.outputDir = path.resolve(args[++i]);
+    }
+    if (args[i] === "--sign-key" && args[i + 1]) {
+      cli.signKey = path.resolve(args[++i]);
+    }
+    if (args[i] === "--public-key" && args[i + 1]) {
+      opts.publicKey = args[++i];
+    }
+    if (args[i] === "--badge-style" && args[i + 1]) {
+      cli.badgeStyle = args[++i];
+    }
+    if (args[i] === "--resolver-dir" && args[i + 1]) {
+      opts.resolverDir = args[++i];
+    }
+    if (args[i] === "--name" && args[i + 1]) {
+      opts.init.name = args[++i];
+    }
+    if (args[i] === "--resolver-version" && args[i + 1]) {
+      opts.init.version = args[++i];
+    }
+    if (args[i] === "--input" && args[i + 1]) {
+      opts.init.inputs.push(parseFieldSpec(args[++i]));
+    }
+    if (args[i] === "--output" && args[i + 1]) {
+      const { name, type } = parseFieldSpec(args[++i], { types: OUTPUT_TYPES });
+      opts.init.outputs.push({ name, type });
+    }
+    if (args[i] === "--failure" && args[i + 1]) {
+      opts.init.failures.push(parseFailureSpec(args[++i]));
+    }
+    if (args[i] === "--yes") {
+      opts.init.yes = true;
+    }
+    if (args[i] === "--force") {
+      opts.init.force = true;
+    }
+    if (args[i] === "--isolate") {
+      // --isolate alone means a worker thread; --isolate process forks instead
+      cli.isolate = ISOLATION_MODES.includes(args[i + 1]) ? args[++i] : "worker";
+    }
   }
 
-  return opts;
+  const options = resolveOptions({ cli, configPath: opts.config });
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new Error(`--concurrency must be a positive integer (got ${options.concurrency})`);
+  }
+  if (!Number.isInteger(options.determinismRuns) || options.determinismRuns < 2) {
+    throw new Error(`--determinism-runs must be an integer of at least 2 (got ${options.determinismRuns})`);
+  }
+  if (!Number.isInteger(options.timeoutMs) || options.timeoutMs < 1) {
+    throw new Error(`--timeout must be a positive integer of milliseconds (got ${options.timeoutMs})`);
+  }
+  if (options.seed !== undefined && (!Number.isInteger(options.seed) || options.seed < 0)) {
+    throw new Error(`--seed must be a non-negative integer (got ${options.seed})`);
+  }
+  if (!BADGE_STYLES.includes(options.badgeStyle)) {
+    throw new Error(`--badge-style must be one of ${BADGE_STYLES.join(", ")} (got ${options.badgeStyle})`);
+  }
+  return { ...opts, ...options };
 }
 
 // ----------------------
 // Imports
 // ----------------------
 const { runAllTests } = require("./lib/runner");
-const { generateBadge } = require("./lib/badge");
+const { createCompactProgress } = require("./lib/progress");
+const { expandResolverPaths, resolverPackageDirs, resolverRunDirs, mapWithConcurrency } = require("./lib/resolvers");
+const { buildSummary, formatSummaryTable, writeSummary } = require("./lib/summary");
+const { generateBadge, BADGE_STYLES } = require("./lib/badge");
+const { buildConformanceReport, writeConformanceReport } = require("./lib/report");
+const { createIsolatedResolver, ISOLATION_MODES } = require("./lib/isolation");
+const { discoverSuites, selectSuites } = require("./lib/discovery");
+const { loadSuiteSpec } = require("./lib/spec");
+const { knownAssertionTypes } = require("./lib/runner");
+const { loadPlugins } = require("./lib/plugins");
+const { parseReporterSpec, writeReports } = require("./lib/reporters");
+const { resolveOptions } = require("./lib/config");
+const {
+  OUTPUT_TYPES,
+  scaffoldDefaults,
+  parseFieldSpec,
+  parseFailureSpec,
+  buildScaffold,
+  writeScaffold,
+  promptScaffold
+} = require("./lib/scaffold");
+const {
+  resolverPackageDir,
+  loadSigningKey,
+  buildManifest,
+  signManifest,
+  writeCertification,
+  verifyCertification
+} = require("./lib/manifest");
 
 // ----------------------
-// Main
+// validate-suites: check every selected test.json without running it
 // ----------------------
-(async () => {
+function validateSuites(suites) {
+  let invalid = 0;
+  for (const suite of suites) {
+    const { errors } = loadSuiteSpec(suite.dir, { knownAssertionTypes: knownAssertionTypes() });
+    if (errors.length === 0) {
+      console.log(`✅ ${suite.id}`);
+      continue;
+    }
+    invalid++;
+    console.error(`❌ ${suite.id}`);
+    for (const error of errors) console.error(`   ${error}`);
+  }
+
+  if (invalid > 0) {
+    console.error(`\n❌ ${invalid} of ${suites.length} suite spec(s) invalid`);
+    return false;
+  }
+  console.log(`\n✅ ${suites.length} suite spec(s) valid`);
+  return true;
+}
+
+function writeBadge(options, outputDir) {
+  const { svgPath, endpointPath } = generateBadge({ ...options, outputDir });
+  console.log(`🏷 Badge written to ${svgPath} (shields.io endpoint: ${endpointPath})`);
+}
+
+// ----------------------
+// verify: check a signed certification.json against a resolver directory
+// ----------------------
+function verify(opts) {
+  const certificationPath = path.resolve(opts.positional[0] || "certification.json");
+  if (!fs.existsSync(certificationPath)) {
+    console.error(`❌ Certification manifest not found: ${certificationPath}`);
+    return false;
+  }
+
+  // The resolver directory defaults to the package the configured resolver
+  // (OLANG_RESOLVER or the config file) lives in
+  let resolverDir = process.cwd();
+  if (opts.resolverDir) {
+    resolverDir = path.resolve(opts.resolverDir);
+  } else if (opts.resolver.length > 0) {
+    const resolverPaths = resolveResolverPaths(opts);
+    if (resolverPaths.length > 1) {
+      console.error("❌ Several resolvers are configured; pass --resolver-dir to choose the one to verify");
+      return false;
+    }
+    resolverDir = resolverPackageDir(resolverPaths[0]);
+  }
+
+  const certification = JSON.parse(fs.readFileSync(certificationPath, "utf8"));
+  const { valid, problems, manifest } = verifyCertification(certification, {
+    resolverDir,
+    trustedPublicKey: opts.publicKey ? fs.readFileSync(opts.publicKey, "utf8") : null
+  });
+
+  if (!valid) {
+    console.error(`❌ ${certificationPath} does not verify against ${resolverDir}:`);
+    for (const problem of problems) console.error(`   - ${problem}`);
+    return false;
+  }
+
+  console.log(`✅ ${manifest.resolver.name} ${manifest.resolver.version} — signature and resolver files verified`);
+  console.log(`   signed by ${certification.signature.key_id}${opts.publicKey ? " (trusted key)" : ""}`);
+  console.log(`   status: ${manifest.status}, ${manifest.suites.length} suite(s), ${manifest.timestamp}`);
+
+  // The badge is derived from the verified manifest, never taken from disk
+  writeBadge({
+    resolverName: manifest.resolver.name,
+    version: manifest.resolver.version,
+    status: manifest.status,
+    style: opts.badgeStyle
+  }, process.cwd());
+  return true;
+}
+
+// ----------------------
+// Scaffold a conformant resolver (olang-resolver-test init [dir])
+// ----------------------
+// Prompts for whatever was not given as a flag when run in a terminal;
+// with --yes or without a TTY the defaults are used as they are.
+async function init(opts) {
+  const dir = path.resolve(opts.positional[0] || ".");
+  const { yes, force, ...given } = opts.init;
+  const defaults = scaffoldDefaults(dir);
+  let spec = {
+    name: given.name || defaults.name,
+    version: given.version || defaults.version,
+    inputs: given.inputs.length > 0 ? given.inputs : defaults.inputs,
+    outputs: given.outputs.length > 0 ? given.outputs : defaults.outputs,
+    failures: given.failures.length > 0 ? given.failures : defaults.failures
+  };
+  if (!yes && process.stdin.isTTY) {
+    spec = await promptScaffold(spec);
+  }
+
+  let written;
+  let skipped;
+  try {
+    ({ written, skipped } = writeScaffold(dir, buildScaffold(spec), { force }));
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    return false;
+  }
+
+  console.log(`🧱 Scaffolded resolver "${spec.name}" in ${dir}`);
+  for (const file of written) console.log(`   + ${file}`);
+  for (const file of skipped) console.log(`   = ${file} (exists, left unchanged)`);
+  console.log(`\nNext: replace lookup() in index.js, then run the suites:`);
+  const relative = path.relative(process.cwd(), dir);
+  const cd = relative === "" ? "" : `cd ${/\s/.test(relative) ? JSON.stringify(relative) : relative} && `;
+  console.log(`   ${cd}npx olang-resolver-test`);
+  return true;
+}
+
+// ----------------------
+// Certify one resolver: run suites, then write conformance.json, reports,
+// the signed certification.json and the badge into outputDir
+// ----------------------
+async function certifyResolver(resolverPath, { opts, suites, reporters, signingKey, outputDir, packageDir = resolverPackageDir(resolverPath), fixturesDir = opts.fixturesDir, goldenDir = opts.goldenDir, isolate, onEvent }) {
+  let resolver;
+  try {
+    resolver = await loadResolver(resolverPath, isolate);
+  } catch (err) {
+    throw Object.assign(new Error(`Failed to load resolver: ${err.message}`), {
+      resolverLoadFailed: true,
+      cause: err
+    });
+  }
+
+  let result;
   try {
-    const opts = parseArgs();
-
-    const suites =
-      opts.suites.length > 0
-        ? opts.suites
-        : [
-        "R-005-resolver-metadata-contract",
-        "R-006-resolver-runtime-shape",
-        "R-007-resolver-failure-contract",
-        "R-008-resolver-input-validation",
-        "R-009-resolver-retry-semantics",
-        "R-010-resolver-output-contract",
-        "R-011-resolver-determinism",
-        "R-012-resolver-side-effects",
-        "R-013-resolver-kernel-bypass"
-          ];
-
-    const result = await runAllTests({
+    result = await runAllTests({
       suites,
-      resolver
+      resolver,
+      strict: opts.strict,
+      timeoutMs: opts.timeoutMs,
+      seed: opts.seed,
+      fixtures: opts.fixtures,
+      fixturesDir,
+      determinismRuns: opts.determinismRuns,
+      traceNondeterminism: opts.traceNondeterminism,
+      golden: { mode: opts.golden, dir: goldenDir, ignore: opts.goldenIgnore },
+      ...(onEvent ? { onEvent } : {})
     });
+  } finally {
+    if (resolver.isolation) await resolver.close();
+  }
 
-    // ----------------------
-    // Generate conformance report
-    // ----------------------
-    const conformanceReport = {
-      resolver: resolver?.resolverDeclaration?.resolverName || resolver?.resolverName || "unknown",
-      timestamp: new Date().toISOString(),
-      results: suites.map(suite => ({
-        suite,
-        status: result.failed > 0 ? "fail" : "pass"
-      }))
-    };
-
-    fs.writeFileSync(
-      path.join(process.cwd(), "conformance.json"),
-      JSON.stringify(conformanceReport, null, 2)
-    );
+  // ----------------------
+  // Generate conformance report
+  // ----------------------
+  const meta = resolver.resolverDeclaration || resolver;
+  const conformanceReport = buildConformanceReport({ resolverName: meta.resolverName, result });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  writeConformanceReport(conformanceReport, outputDir);
+  const reportPaths = writeReports(conformanceReport, reporters, { resolverPath });
+
+  // ----------------------
+  // Sign certification manifest
+  // ----------------------
+  const certification = signManifest(
+    buildManifest({
+      resolverMeta: meta,
+      packageDir,
+      result
+    }),
+    signingKey.privateKey
+  );
+  const certificationPath = writeCertification(certification, outputDir);
+
+  // ----------------------
+  // Generate certification badge
+  // ----------------------
+  const badge = generateBadge({
+    resolverName: meta.resolverName || "unknown-resolver",
+    version: meta.version || "",
+    status: result.status,
+    style: opts.badgeStyle,
+    outputDir
+  });
+
+  return { meta, result, reportPaths, certification, certificationPath, badge };
+}
+
+// ----------------------
+// Several resolvers: each is certified into <outputDir>/<name>/ and the
+// outcome collected in conformance-summary.json / .md
+// ----------------------
+const REPORT_EXTENSIONS = { junit: "xml", tap: "tap", sarif: "sarif", json: "json", pretty: "txt" };
+
+// Reporter paths may use "{resolver}"; otherwise each resolver's report goes
+// into a subdirectory named after it. Reports meant for stdout are written to
+// the resolver's output directory instead, as they would interleave.
+function reportersFor(reporters, name, runDir) {
+  return reporters.map(({ format, output }) => {
+    if (!output) return { format, output: path.join(runDir, `report.${REPORT_EXTENSIONS[format]}`) };
+    if (output.includes("{resolver}")) return { format, output: output.split("{resolver}").join(name) };
+    return { format, output: path.join(path.dirname(output), name, path.basename(output)) };
+  });
+}
+
+// Fixtures are per resolver too: fixturesDir may contain "{resolver}",
+// otherwise each resolver reads <fixturesDir>/<name>/. Without a configured
+// fixturesDir each resolver uses its own package's test-fixtures/.
+function fixturesDirFor(fixturesDir, name, packageDir) {
+  if (!fixturesDir) return path.join(packageDir, "test-fixtures");
+  if (fixturesDir.includes("{resolver}")) return fixturesDir.split("{resolver}").join(name);
+  return path.join(fixturesDir, name);
+}
+
+async function certifyMany(resolverPaths, { opts, suites, reporters, signingKey }) {
+  const names = resolverRunDirs(resolverPaths);
+  const packageDirs = resolverPackageDirs(resolverPaths);
+
+  // In-process resolvers share the harness's globals (fetch stubs, R-012
+  // snapshots), so parallel runs always isolate them
+  let isolate = opts.isolate;
+  if (!isolate && opts.concurrency > 1) {
+    isolate = "worker";
+    console.log("ℹ️  Several resolvers run in parallel: loading each in a worker thread (--isolate)");
+  }
+  console.log(`📦 Certifying ${resolverPaths.length} resolvers (concurrency ${Math.min(opts.concurrency, resolverPaths.length)})`);
+
+  const runs = await mapWithConcurrency(resolverPaths, opts.concurrency, async (resolverPath, i) => {
+    const name = names[i];
+    const dir = path.join(opts.outputDir, name);
+    try {
+      const run = await certifyResolver(resolverPath, {
+        opts,
+        suites,
+        reporters: reportersFor(reporters, name, dir),
+        signingKey,
+        outputDir: dir,
+        packageDir: packageDirs[i],
+        fixturesDir: fixturesDirFor(opts.fixturesDir, name, packageDirs[i]),
+        goldenDir: path.join(opts.goldenDir, name),
+        isolate,
+        onEvent: createCompactProgress(name)
+      });
+      return { name, dir, resolverPath, ...run };
+    } catch (err) {
+      console.error(`❌ [${name}] ${err.message}`);
+      return { name, dir, resolverPath, error: err.message };
+    }
+  });
+
+  const suiteIds = suites.map(s => (typeof s === "string" ? s : s.id));
+  const summary = buildSummary(runs, suiteIds);
+  const { jsonPath, markdownPath } = writeSummary(summary, opts.outputDir);
+
+  console.log("\n" + formatSummaryTable(summary));
+  console.log(`📄 Summary written to ${jsonPath} and ${markdownPath}`);
+  if (opts.json) {
+    process.stdout.write(JSON.stringify(summary, null, 2) + "\n");
+  }
+
+  if (summary.status !== "pass") {
+    console.error(`❌ ${summary.total - summary.certified} of ${summary.total} resolver(s) NOT certified`);
+    return false;
+  }
+  console.log(`🏅 All ${summary.total} resolvers are O-lang CERTIFIED`);
+  return true;
+}
 
-    // ----------------------
-// Generate certification badge
 // ----------------------
-const meta = resolver.resolverDeclaration || resolver;
+// Main
+// ----------------------
+(async () => {
+  try {
+    let opts;
+    let reporters;
+    try {
+      opts = parseArgs();
+      if (opts.help) {
+        console.log(INIT_USAGE);
+        process.exit(0);
+      }
+      reporters = opts.reporters.map(parseReporterSpec);
+      if (reporters.filter(r => !r.output).length > 1) {
+        throw new Error("Only one reporter can write to stdout; give the others a path (--reporter <format>:<path>)");
+      }
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+
+    if (opts.printConfig) {
+      const { positional, printConfig, config: _configFlag, ...config } = opts;
+      console.log(JSON.stringify(config, null, 2));
+      process.exit(0);
+    }
+
+    // stdout stays machine-readable when a report (a reporter without a path,
+    // or --json) is written to it: progress and status lines go to stderr
+    if (opts.json || reporters.some(r => !r.output)) {
+      console.log = console.error;
+      console.info = console.error;
+    }
+    console.log("🚀 Starting O-lang resolver test runner...");
+
+    if (opts.command === "init") {
+      process.exit(await init(opts) ? 0 : 1);
+    }
+
+    if (opts.command === "verify") {
+      process.exit(verify(opts) ? 0 : 1);
+    }
+
+    let discovered;
+    try {
+      // Plugins first: their assertion types must be known to spec validation
+      loadPlugins(opts.plugins);
+      discovered = discoverSuites({
+        dirs: opts.suitesDirs,
+        include: opts.include,
+        exclude: opts.exclude,
+        tags: opts.tags
+      });
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+
+    const suites = selectSuites(discovered, opts.suites);
 
-console.log("🏷 Badge metadata being sent:", {
-  resolverName: meta.resolverName,
-  version: meta.version,
-  passed: result.failed === 0,
-  outputDir: process.cwd()
-});
+    if (suites.length === 0) {
+      console.error("❌ No suites selected");
+      process.exit(1);
+    }
 
-generateBadge({
-  resolverName: meta.resolverName || "unknown-resolver",
-  version: meta.version || "",
-  passed: result.failed === 0,
-  outputDir: process.cwd()
-});
+    if (opts.command === "validate-suites") {
+      // Kernel suites are specs too; validate them unless filtered out
+      const selected = opts.suites.length > 0 ? suites.filter(s => typeof s !== "string") : discovered;
+      process.exit(validateSuites(selected) ? 0 : 1);
+    }
+
+    const resolverPaths = resolveResolverPaths(opts);
+    let signingKey;
+    try {
+      signingKey = loadSigningKey(opts.signKey);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+    if (signingKey.created) {
+      console.log(`🔑 New signing key created at ${signingKey.keyPath}`);
+    }
+    if (signingKey.ephemeral) {
+      console.log("🔑 No signing key configured: signing certification.json with an ephemeral key that is not saved");
+      console.log("   Pass --sign-key <path> (or set OLANG_SIGNING_KEY) to sign with a key you can publish");
+    }
+    const context = { opts, suites, reporters, signingKey };
+
+    if (resolverPaths.length > 1) {
+      process.exit(await certifyMany(resolverPaths, context) ? 0 : 1);
+    }
+
+    let run;
+    try {
+      run = await certifyResolver(resolverPaths[0], {
+        ...context,
+        outputDir: opts.outputDir,
+        isolate: opts.isolate
+      });
+    } catch (err) {
+      if (!err.resolverLoadFailed) throw err;
+      console.error(`❌ Failed to load resolver from ${resolverPaths[0]}`);
+      console.error(err.cause);
+      process.exit(1);
+    }
+    const { result } = run;
+
+    for (const reportPath of run.reportPaths) {
+      console.log(`📄 Report written to ${reportPath}`);
+    }
+    console.log(`🔏 Certification manifest signed (${run.certification.signature.key_id}) and written to ${run.certificationPath}`);
+    console.log(`🏷 Badge written to ${run.badge.svgPath} (shields.io endpoint: ${run.badge.endpointPath})`);
+    if (result.goldens?.mode === "record") {
+      console.log(`📼 Recorded ${result.goldens.recorded.length} golden file(s) in ${result.goldens.dir}`);
+    }
 
     // ----------------------
     // Output handling
     // ----------------------
     if (opts.json) {
-      console.log(JSON.stringify(result, null, 2));
+      process.stdout.write(JSON.stringify(result, null, 2) + "\n");
     }
 
     if (result.failed > 0) {
@@ -137,6 +690,12 @@ generateBadge({
       process.exit(1);
     }
 
+    if (result.warned > 0) {
+      console.warn(`⚠️  ${result.warned} resolver test(s) passed with warnings`);
+      console.log("🏅 Resolver is O-lang CERTIFIED (with warnings)");
+      process.exit(0);
+    }
+
     console.log("✅ All resolver tests passed");
     console.log("🏅 Resolver is O-lang CERTIFIED");
     process.exit(0);
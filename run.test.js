@@ -0,0 +1,264 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { spawnSync } = require("node:child_process");
+const { writeRiskResolver, tempDir } = require("./lib/testing");
+
+// End-to-end checks of the CLI, run against a throwaway resolver
+
+function workspace(t) {
+  const dir = tempDir(t, "olang-cli-");
+  writeRiskResolver(path.join(dir, "resolver.js"));
+  return dir;
+}
+
+function cli(dir, args) {
+  return spawnSync(process.execPath, [path.join(__dirname, "run.js"), ...args], {
+    cwd: dir,
+    encoding: "utf8",
+    timeout: 60000,
+    env: { ...process.env, OLANG_RESOLVER: "", OLANG_SIGNING_KEY: "" },
+  });
+}
+
+function certifyArgs(dir) {
+  return [
+    "--resolver", path.join(dir, "resolver.js"),
+    "--suite", "R-006-resolver-runtime-shape",
+    "--sign-key", path.join(dir, "key.pem"),
+    "--output-dir", path.join(dir, "out"),
+  ];
+}
+
+test("a reporter writing to stdout leaves stdout parseable", t => {
+  const dir = workspace(t);
+  const run = cli(dir, [...certifyArgs(dir), "--reporter", "json"]);
+  assert.equal(run.status, 0, run.stderr);
+  const report = JSON.parse(run.stdout);
+  assert.equal(report.status, "pass");
+  assert.match(run.stderr, /Starting O-lang resolver test runner/);
+});
+
+test("--json leaves stdout parseable", t => {
+  const dir = workspace(t);
+  const run = cli(dir, [...certifyArgs(dir), "--json"]);
+  assert.equal(run.status, 0, run.stderr);
+  assert.equal(JSON.parse(run.stdout).status, "pass");
+});
+
+test("an isolated resolver's stdout does not reach --json output", t => {
+  const dir = workspace(t);
+  fs.writeFileSync(path.join(dir, "noisy.js"), `
+const resolver = require(${JSON.stringify(path.join(dir, "resolver.js"))});
+module.exports = Object.assign(async (...args) => {
+  console.log("resolver noise");
+  process.stdout.write("raw noise\\n");
+  return resolver(...args);
+}, { resolverDeclaration: resolver.resolverDeclaration });
+`);
+  for (const mode of ["worker", "process"]) {
+    const args = certifyArgs(dir);
+    args[1] = path.join(dir, "noisy.js");
+    const run = cli(dir, [...args, "--isolate", mode, "--json"]);
+    assert.equal(run.status, 0, run.stderr);
+    assert.equal(JSON.parse(run.stdout).status, "pass");
+    assert.match(run.stderr, /resolver noise/);
+  }
+});
+
+test("only one reporter may write to stdout", t => {
+  const dir = workspace(t);
+  const run = cli(dir, [...certifyArgs(dir), "--reporter", "json", "--reporter", "tap"]);
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /Only one reporter can write to stdout/);
+});
+
+test("without a configured key, certify signs with an ephemeral key and writes none", t => {
+  const dir = workspace(t);
+  const home = tempDir(t, "olang-home-");
+  const run = spawnSync(process.execPath, [
+    path.join(__dirname, "run.js"),
+    "--resolver", path.join(dir, "resolver.js"),
+    "--suite", "R-006-resolver-runtime-shape",
+    "--output-dir", path.join(dir, "out"),
+  ], {
+    cwd: dir,
+    encoding: "utf8",
+    timeout: 60000,
+    env: { ...process.env, HOME: home, OLANG_RESOLVER: "", OLANG_SIGNING_KEY: "" },
+  });
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, /ephemeral key/);
+  assert.ok(fs.existsSync(path.join(dir, "out", "certification.json")));
+  assert.deepStrictEqual(fs.readdirSync(home), []);
+});
+
+test("an explicit --sign-key is created and its location printed", t => {
+  const dir = workspace(t);
+  const run = cli(dir, certifyArgs(dir));
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stdout, new RegExp(`New signing key created at ${path.join(dir, "key.pem")}`));
+  assert.ok(fs.existsSync(path.join(dir, "key.pem")));
+});
+
+test("--timeout and --seed must be integers", t => {
+  const dir = workspace(t);
+  for (const [flag, value, message] of [
+    ["--timeout", "abc", /--timeout must be a positive integer of milliseconds \(got NaN\)/],
+    ["--timeout", "0", /--timeout must be a positive integer/],
+    ["--timeout", "1.5", /--timeout must be a positive integer/],
+    ["--seed", "abc", /--seed must be a non-negative integer \(got NaN\)/],
+    ["--seed", "-1", /--seed must be a non-negative integer/],
+  ]) {
+    const run = cli(dir, [...certifyArgs(dir), flag, value]);
+    assert.equal(run.status, 1, `${flag} ${value}`);
+    assert.match(run.stderr, message);
+    assert.equal(fs.existsSync(path.join(dir, "out")), false);
+  }
+});
+
+test("an unknown --badge-style is rejected with the valid styles", t => {
+  const dir = workspace(t);
+  const run = cli(dir, [...certifyArgs(dir), "--badge-style", "round"]);
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /--badge-style must be one of flat, flat-square \(got round\)/);
+  assert.equal(fs.existsSync(path.join(dir, "out")), false);
+});
+
+test("--seed 0 is accepted", t => {
+  const dir = workspace(t);
+  const run = cli(dir, [...certifyArgs(dir), "--seed", "0", "--json"]);
+  assert.equal(run.status, 0, run.stderr);
+  assert.equal(JSON.parse(run.stdout).seed, 0);
+});
+
+// Two resolver packages; only "strict" ships a fixture its resolver fails
+function twoPackages(dir) {
+  for (const name of ["lenient", "strict"]) {
+    const pkg = path.join(dir, "resolvers", name);
+    fs.mkdirSync(path.join(pkg, "test-fixtures"), { recursive: true });
+    fs.writeFileSync(path.join(pkg, "package.json"), JSON.stringify({ name }));
+    writeRiskResolver(path.join(pkg, "index.js"));
+  }
+  fs.writeFileSync(
+    path.join(dir, "resolvers", "strict", "test-fixtures", "R-010-resolver-output-contract.json"),
+    JSON.stringify({ name: "unhandled action", invoke: "Action other probe=1" })
+  );
+}
+
+function certifyBoth(dir, extra = []) {
+  return cli(dir, [
+    "--resolver", "resolvers/*/index.js",
+    "--suite", "R-010-resolver-output-contract",
+    "--concurrency", "1",
+    "--sign-key", path.join(dir, "key.pem"),
+    "--output-dir", path.join(dir, "out"),
+    ...extra,
+  ]);
+}
+
+function summaryStatuses(dir) {
+  const summary = JSON.parse(fs.readFileSync(path.join(dir, "out", "conformance-summary.json"), "utf8"));
+  return Object.fromEntries(summary.resolvers.map(r => [r.id, r.status]));
+}
+
+test("each resolver reads the fixtures in its own package", t => {
+  const dir = workspace(t);
+  twoPackages(dir);
+  const run = certifyBoth(dir);
+  assert.equal(run.status, 1, run.stderr);
+  assert.deepStrictEqual(summaryStatuses(dir), { lenient: "pass", strict: "fail" });
+});
+
+test("a configured fixturesDir is split per resolver", t => {
+  const dir = workspace(t);
+  twoPackages(dir);
+  fs.mkdirSync(path.join(dir, "shared", "lenient"), { recursive: true });
+  fs.copyFileSync(
+    path.join(dir, "resolvers", "strict", "test-fixtures", "R-010-resolver-output-contract.json"),
+    path.join(dir, "shared", "lenient", "R-010-resolver-output-contract.json")
+  );
+  fs.writeFileSync(path.join(dir, "olang-tester.config.json"), JSON.stringify({ fixturesDir: "./shared" }));
+  const run = certifyBoth(dir);
+  assert.equal(run.status, 1, run.stderr);
+  assert.deepStrictEqual(summaryStatuses(dir), { lenient: "fail", strict: "pass" });
+});
+
+test("resolvers sharing a monorepo package.json are each hashed by their own directory", t => {
+  const dir = workspace(t);
+  twoPackages(dir);
+  for (const name of ["lenient", "strict"]) fs.rmSync(path.join(dir, "resolvers", name, "package.json"));
+  fs.writeFileSync(path.join(dir, "package.json"), "{}");
+  const run = certifyBoth(dir);
+  assert.equal(run.status, 1, run.stderr);
+  assert.deepStrictEqual(summaryStatuses(dir), { lenient: "pass", strict: "fail" });
+
+  const packageOf = name =>
+    JSON.parse(fs.readFileSync(path.join(dir, "out", name, "certification.json"), "utf8")).manifest.package;
+  // index.js, plus the fixture for strict
+  assert.equal(packageOf("lenient").files, 1);
+  assert.equal(packageOf("strict").files, 2);
+});
+
+test("init --help prints usage and writes nothing", t => {
+  const dir = workspace(t);
+  const before = fs.readdirSync(dir);
+  for (const flag of ["--help", "-h"]) {
+    const run = cli(dir, ["init", flag]);
+    assert.equal(run.status, 0, run.stderr);
+    assert.match(run.stdout, /Usage: olang-resolver-test init \[dir\]/);
+  }
+  assert.deepStrictEqual(fs.readdirSync(dir), before);
+});
+
+test("init rejects unknown options and non-semver versions without writing", t => {
+  const dir = workspace(t);
+  const before = fs.readdirSync(dir);
+  for (const [args, message] of [
+    [["init", "--bogus"], /Unknown option for init: --bogus/],
+    [["init", "sc3", "extra", "--yes"], /init takes one directory/],
+    [["init", "sc3", "--yes", "--name"], /--name needs a value/],
+    [["init", "sc3", "--yes", "--resolver-version", "01.2.3"], /version "01\.2\.3" is not semver/],
+  ]) {
+    const run = cli(dir, args);
+    assert.equal(run.status, 1, args.join(" "));
+    assert.match(run.stderr, message);
+  }
+  assert.deepStrictEqual(fs.readdirSync(dir), before);
+});
+
+test("validate-suites exits non-zero on an invalid suite", t => {
+  const dir = workspace(t);
+  const run = () => cli(dir, ["validate-suites", "--suites-dir", path.join(dir, "suites")]);
+  fs.mkdirSync(path.join(dir, "suites", "R-101-payments"), { recursive: true });
+  const spec = {
+    test_id: "R-101-payments",
+    protocol_version: "1.1",
+    category: "resolver",
+    description: "Payments resolvers declare an owner",
+    fixtures: { inputs: [{ name: "resolver under test" }] },
+    assertions: [{ id: "has_owner", type: "resolver_has_field", field: "owner", severity: "fatal", description: "owner" }],
+  };
+  const write = s => fs.writeFileSync(path.join(dir, "suites", "R-101-payments", "test.json"), JSON.stringify(s));
+
+  write(spec);
+  const valid = run();
+  assert.equal(valid.status, 0, valid.stderr);
+  write({ ...spec, assertions: [{ ...spec.assertions[0], type: "no_such_type" }] });
+  const invalid = run();
+  assert.equal(invalid.status, 1);
+  assert.match(invalid.stdout + invalid.stderr, /unknown assertion type "no_such_type"/);
+});
+
+test("--print-config shows the merged options", t => {
+  const dir = workspace(t);
+  fs.writeFileSync(path.join(dir, "olang-tester.config.json"), JSON.stringify({ resolver: "./resolver.js", strict: true }));
+  const run = cli(dir, ["--print-config", "--timeout", "250"]);
+  assert.equal(run.status, 0, run.stderr);
+  const config = JSON.parse(run.stdout);
+  assert.deepStrictEqual(config.resolver, [path.join(dir, "resolver.js")]);
+  assert.equal(config.strict, true);
+  assert.equal(config.timeoutMs, 250);
+  assert.equal(config.configPath, path.join(dir, "olang-tester.config.json"));
+});